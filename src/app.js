@@ -1,5 +1,6 @@
 // backend/src/app.js
 require("dotenv").config();
+const path = require("path");
 const Parser = require("rss-parser");
 
 const express = require("express");
@@ -11,22 +12,45 @@ const rateLimit = require("express-rate-limit");
 const { v4: uuidv4 } = require("uuid");
 
 // Import services
-const {
-  JinaEmbeddingService,
-  LocalEmbeddingService,
-} = require("./services/embeddingService");
+const embeddingConfig = require("./config/embedding");
+const { createEmbeddingService } = require("./rag/embedder");
+const llmConfig = require("./config/llm");
+const { createLLMService } = require("./rag/generator");
 const { QdrantVectorStore } = require("./services/vectorStoreService");
-const { GeminiService } = require("./services/llmService");
 const { RedisCacheService } = require("./services/cacheService");
+const { RedisAnswerCache } = require("./services/answerCacheService");
+const answerCacheConfig = require("./config/answerCache");
+const { SqlPersistenceService } = require("./services/persistenceService");
+const { RedisJobQueue } = require("./services/jobQueueService");
+const { RedisFeedRegistry } = require("./services/feedRegistryService");
+const { FeedScheduler } = require("./services/feedSchedulerService");
+const { RedisFetchStateStore } = require("./services/fetchStateService");
+const { PromptTemplateService } = require("./services/promptTemplateService");
+const databaseConfig = require("./config/database");
 const RAGService = require("./services/ragService");
 
+// Import middleware
+const { createAuthMiddleware, requireRole } = require("./middleware/auth");
+const { createSessionAccessMiddleware } = require("./middleware/sessionAccess");
+const authConfig = require("./config/auth");
+
 // Import controllers and routes
 const ChatController = require("./controllers/chatController");
 const setupChatRoutes = require("./routes/chatRoutes");
+const HistoryController = require("./controllers/historyController");
+const setupHistoryRoutes = require("./routes/historyRoutes");
+const AdminController = require("./controllers/adminController");
+const setupAdminRoutes = require("./routes/adminRoutes");
 
 // Import RAG components
 const { collectArticles } = require("./rag/collector");
 const { processArticles } = require("./rag/processor");
+const { HybridRetriever } = require("./rag/retriever");
+const { createReranker } = require("./rag/reranker");
+const { QueryRewriter } = require("./rag/queryRewriter");
+const { TitleGenerator } = require("./rag/titleGenerator");
+const { ContextAssembler } = require("./rag/contextAssembler");
+const rerankerConfig = require("./config/reranker");
 
 // App initialization
 const app = express();
@@ -48,29 +72,34 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 app.use("/api/", limiter);
-const embeddingService = new JinaEmbeddingService({
-  apiKey: process.env.JINA_API_KEY,
-  modelName: process.env.EMBEDDING_MODEL || "jina-embeddings-v3",
-});
+const embeddingService = createEmbeddingService(
+  embeddingConfig.provider,
+  embeddingConfig.providers[embeddingConfig.provider]
+);
 // Initialize services
 const initializeServices = async () => {
   try {
     // Initialize embedding service
-    console.log(process.env.JINA_API_KEY, process.env.EMBEDDING_MODEL);
+    await embeddingService.initialize();
+    console.log(
+      `Using ${embeddingConfig.provider} embeddings (${embeddingService.dimension} dimensions)`
+    );
 
     // Initialize vector store
     const vectorStoreService = new QdrantVectorStore({
       url: process.env.QDRANT_URL || "http://localhost:6333",
       apiKey: process.env.QDRANT_API_KEY,
       collectionName: process.env.QDRANT_COLLECTION || "news_articles",
+      dimension: embeddingService.dimension,
     });
     await vectorStoreService.initialize();
 
-    // Initialize LLM service
-    const llmService = new GeminiService({
-      apiKey: process.env.GEMINI_API_KEY,
-      modelName: process.env.GEMINI_MODEL || "gemini-pro",
-    });
+    // Initialize the configured LLM provider
+    const llmService = createLLMService(
+      llmConfig.provider,
+      llmConfig.providers[llmConfig.provider]
+    );
+    console.log(`LLM provider: ${llmConfig.provider}`);
 
     // Initialize Redis cache
     const cacheService = new RedisCacheService({
@@ -79,33 +108,142 @@ const initializeServices = async () => {
       password: process.env.REDIS_PASSWORD,
       keyPrefix: process.env.REDIS_PREFIX || "news_rag:",
       defaultTTL: parseInt(process.env.REDIS_TTL) || 3600,
+      maxSessionMessages:
+        parseInt(process.env.REDIS_SESSION_MAX_MESSAGES) || 100,
     });
 
-    // Initialize RAG service
-    console.log(
-      "Initializing RAG service...",
+    // Serve answers to near-identical queries until the next ingestion
+    const answerCache = answerCacheConfig.enabled
+      ? new RedisAnswerCache({
+          client: cacheService.client,
+          ...answerCacheConfig,
+        })
+      : undefined;
 
-      embeddingService.embedText
-    );
+    // Initialize optional PostgreSQL persistence
+    let persistenceService;
+    if (databaseConfig.enabled) {
+      persistenceService = new SqlPersistenceService(databaseConfig);
+      await persistenceService.initialize();
+    }
 
-    // console.log(embed);
+    // Load the bundled prompt templates; more versions can live in PostgreSQL
+    const promptTemplateService = new PromptTemplateService({
+      directory: path.join(__dirname, "prompts"),
+      persistenceService,
+      defaultTemplate: process.env.PROMPT_TEMPLATE || "default",
+    });
+    await promptTemplateService.initialize();
+
+    // Initialize retrieval: dense, keyword or fused hybrid search with a
+    // similarity cutoff, then optional reranking with a relevance cutoff
+    const minSimilarity = parseFloat(process.env.RETRIEVAL_MIN_SIMILARITY);
+    const retriever = new HybridRetriever({
+      embeddingService,
+      vectorStoreService,
+      defaultMode: process.env.RETRIEVAL_MODE || "hybrid",
+      minSimilarity: Number.isNaN(minSimilarity) ? undefined : minSimilarity,
+      reranker: createReranker(
+        rerankerConfig.provider,
+        rerankerConfig.providers[rerankerConfig.provider]
+      ),
+      rerankCandidates: rerankerConfig.candidates,
+      minRelevance: rerankerConfig.minRelevance,
+    });
+    console.log(`Reranker: ${rerankerConfig.provider}`);
+
+    // Initialize RAG service
+    console.log("Initializing RAG service...");
     const ragService = new RAGService({
       collector: { collectArticles },
       processor: { processArticles },
       embeddingService,
       vectorStoreService,
+      retriever,
+      answerCache,
     });
 
+    // Initialize the ingestion job queue on the Redis connection
+    const ingestionQueue = new RedisJobQueue({
+      client: cacheService.client,
+      name: "ingestion",
+      handler: (payload, reportProgress) =>
+        ragService.ingestArticles(payload, reportProgress),
+    });
+    await ingestionQueue.start();
+
+    // Initialize the RSS feed registry, seeded from RSS_SOURCES on first run
+    const feedRegistry = new RedisFeedRegistry({
+      client: cacheService.client,
+      defaultPollIntervalMinutes: parseInt(process.env.RSS_POLL_INTERVAL) || 30,
+    });
+    await feedRegistry.seedFeeds(
+      (process.env.RSS_SOURCES || "")
+        .split(",")
+        .map((url) => url.trim())
+        .filter(Boolean)
+    );
+
+    // Poll registered feeds on their own intervals, fetching conditionally
+    const fetchState = new RedisFetchStateStore({
+      client: cacheService.client,
+    });
+    const feedScheduler = new FeedScheduler({
+      feedRegistry,
+      collector: { collectArticles },
+      ingestionQueue,
+      fetchState,
+    });
+    feedScheduler.start();
+
     // Initialize controllers
     const chatController = new ChatController({
       embeddingService,
       vectorStoreService,
+      retriever,
+      // Rewrite follow-up questions into standalone queries unless disabled
+      queryRewriter:
+        process.env.QUERY_REWRITE === "false"
+          ? undefined
+          : new QueryRewriter({ llmService }),
+      // Name sessions after their first exchange unless disabled
+      titleGenerator:
+        process.env.SESSION_TITLES === "false"
+          ? undefined
+          : new TitleGenerator({ llmService }),
+      contextAssembler: new ContextAssembler({
+        tokenBudget: parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 3000,
+      }),
+      promptTemplateService,
       llmService,
       cacheService,
+      answerCache,
+      persistenceService,
     });
 
     // Setup routes
-    app.use("/api/chat", setupChatRoutes(chatController));
+    const authenticate = createAuthMiddleware(authConfig);
+    const requireSessionOwner = createSessionAccessMiddleware({
+      cacheService,
+      persistenceService,
+    });
+    app.use(
+      "/api/chat",
+      authenticate,
+      setupChatRoutes(chatController, requireSessionOwner)
+    );
+
+    if (persistenceService) {
+      const historyController = new HistoryController({
+        persistenceService,
+        cacheService,
+      });
+      app.use(
+        "/api/history",
+        authenticate,
+        setupHistoryRoutes(historyController, requireSessionOwner)
+      );
+    }
 
     // Health check route
     app.get("/api/health", (req, res) => {
@@ -115,30 +253,20 @@ const initializeServices = async () => {
       });
     });
 
-    /**
-     eneral http://rss.cnn.com/rss/cnn_topstories.rss
-US general http://www.cbsnews.com/latest/rss/main
-     */
-    // Admin route for data ingestion
-
-    app.post("/api/admin/ingest", async (req, res) => {
-      try {
-        // This would typically be protected by authentication
-        console.log(process.env.JINA_API_KEY);
-        // res.status(200).json("hi");
-
-        const config = req.body;
-        const result = await ragService.ingestArticles(config);
-        res.status(200).json(result);
-        return;
-      } catch (error) {
-        console.error("Ingestion error:", error);
-        res.status(500).json({
-          success: false,
-          message: "Failed to ingest articles",
-        });
-      }
+    // Admin routes for data ingestion and feed management
+    const adminController = new AdminController({
+      ingestionQueue,
+      feedRegistry,
+      feedScheduler,
+      fetchState,
+      promptTemplateService,
     });
+    app.use(
+      "/api/admin",
+      authenticate,
+      requireRole("admin"),
+      setupAdminRoutes(adminController)
+    );
 
     // Not found route
     app.use((req, res) => {
@@ -170,7 +298,11 @@ US general http://www.cbsnews.com/latest/rss/main
       vectorStoreService,
       llmService,
       cacheService,
+      persistenceService,
       ragService,
+      ingestionQueue,
+      feedRegistry,
+      feedScheduler,
     };
   } catch (error) {
     console.error("Failed to initialize services:", error);
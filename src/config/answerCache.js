@@ -0,0 +1,14 @@
+// backend/src/config/answerCache.js
+/**
+ * Semantic answer cache settings: how similar a new query must be to a
+ * cached one to reuse its answer, and how long answers are kept
+ */
+module.exports = {
+  enabled: process.env.ANSWER_CACHE !== "false",
+  threshold: parseFloat(process.env.ANSWER_CACHE_THRESHOLD) || 0.95,
+  ttl:
+    parseInt(process.env.ANSWER_CACHE_TTL) ||
+    parseInt(process.env.REDIS_TTL) ||
+    3600,
+  maxEntries: parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES) || 200,
+};
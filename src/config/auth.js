@@ -0,0 +1,29 @@
+// backend/src/config/auth.js
+/**
+ * Parse API keys from "key:userId[:role|role]" entries separated by commas
+ * @param {string} value - Raw API_KEYS value
+ * @returns {Map} - API key -> { id, roles }
+ */
+function parseApiKeys(value = "") {
+  // A Map, so keys like "constructor" or "__proto__" can't match inherited properties
+  const keys = new Map();
+
+  for (const entry of value.split(",")) {
+    const [key, id, roles = ""] = entry.trim().split(":");
+    if (key && id) {
+      keys.set(key, { id, roles: roles.split("|").filter(Boolean) });
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Authentication settings: JWT (HS256) and/or static API keys
+ */
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET,
+  jwtIssuer: process.env.JWT_ISSUER,
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+  parseApiKeys,
+};
@@ -0,0 +1,14 @@
+// backend/src/config/database.js
+/**
+ * PostgreSQL settings for persistent chat history
+ * Persistence is enabled only when POSTGRES_HOST is set
+ */
+module.exports = {
+  enabled: Boolean(process.env.POSTGRES_HOST),
+  host: process.env.POSTGRES_HOST || "localhost",
+  port: parseInt(process.env.POSTGRES_PORT) || 5432,
+  database: process.env.POSTGRES_DB || "news_rag",
+  username: process.env.POSTGRES_USER || "postgres",
+  password: process.env.POSTGRES_PASSWORD,
+  logging: process.env.POSTGRES_LOGGING === "true",
+};
@@ -0,0 +1,24 @@
+// backend/src/config/embedding.js
+/**
+ * Embedding provider selection and per-provider settings
+ */
+module.exports = {
+  provider: process.env.EMBEDDING_PROVIDER || "jina",
+  providers: {
+    jina: {
+      apiKey: process.env.JINA_API_KEY,
+      modelName: process.env.EMBEDDING_MODEL || "jina-embeddings-v3",
+      dimension: parseInt(process.env.EMBEDDING_DIMENSION) || undefined,
+    },
+    local: {
+      modelName: process.env.LOCAL_EMBEDDING_MODEL,
+      cacheDir: process.env.LOCAL_EMBEDDING_CACHE_DIR,
+    },
+    openai: {
+      apiKey: process.env.OPENAI_EMBEDDING_API_KEY,
+      apiUrl: process.env.OPENAI_EMBEDDING_URL,
+      modelName: process.env.OPENAI_EMBEDDING_MODEL,
+      dimension: parseInt(process.env.EMBEDDING_DIMENSION) || undefined,
+    },
+  },
+};
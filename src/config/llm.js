@@ -0,0 +1,24 @@
+// backend/src/config/llm.js
+// Tokens of recent chat history sent verbatim; older turns are summarized
+const historyTokenBudget = parseInt(process.env.HISTORY_TOKEN_BUDGET) || 2000;
+
+/**
+ * LLM provider selection and per-provider settings
+ */
+module.exports = {
+  provider: process.env.LLM_PROVIDER || "gemini",
+  providers: {
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      modelName: process.env.GEMINI_MODEL || "gemini-pro",
+      historyTokenBudget,
+    },
+    openai: {
+      apiKey: process.env.OPENAI_CHAT_API_KEY,
+      apiUrl: process.env.OPENAI_CHAT_URL,
+      modelName: process.env.OPENAI_CHAT_MODEL,
+      historyTokenBudget,
+    },
+    mock: {},
+  },
+};
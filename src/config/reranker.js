@@ -0,0 +1,17 @@
+// backend/src/config/reranker.js
+/**
+ * Reranking stage settings: which reranker to use, how many candidates to
+ * over-fetch for it and the minimum reranker score a chunk needs to be used
+ * (ignored when reranking is off)
+ */
+module.exports = {
+  provider: process.env.RERANKER_PROVIDER || "none",
+  candidates: parseInt(process.env.RERANK_CANDIDATES) || 20,
+  minRelevance: parseFloat(process.env.RERANK_MIN_SCORE) || 0,
+  providers: {
+    "cross-encoder": {
+      apiUrl: process.env.RERANKER_URL,
+      apiKey: process.env.RERANKER_API_KEY,
+    },
+  },
+};
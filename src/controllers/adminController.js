@@ -0,0 +1,353 @@
+// backend/src/controllers/adminController.js
+
+/**
+ * Controller for administrative operations such as data ingestion
+ */
+class AdminController {
+  /**
+   * Initialize with required services
+   * @param {Object} services - Required services
+   */
+  constructor(services) {
+    this.ingestionQueue = services.ingestionQueue;
+    this.feedRegistry = services.feedRegistry;
+    this.feedScheduler = services.feedScheduler;
+    this.fetchState = services.fetchState;
+    this.promptTemplates = services.promptTemplateService;
+  }
+
+  /**
+   * Queue a batch of articles for ingestion into the vector store
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async ingest(req, res) {
+    try {
+      const job = await this.ingestionQueue.enqueue({
+        articles: req.body.articles,
+      });
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        message: `Queued ${req.body.articles.length} articles for ingestion`,
+      });
+    } catch (error) {
+      console.error("Failed to queue ingestion job:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to queue ingestion job",
+      });
+    }
+  }
+
+  /**
+   * Get the status and progress of an ingestion job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getJob(req, res) {
+    try {
+      const job = await this.ingestionQueue.getJob(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: "Job not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        job,
+      });
+    } catch (error) {
+      console.error("Failed to get job status:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get job status",
+      });
+    }
+  }
+
+  /**
+   * List registered feeds with their polling status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listFeeds(req, res) {
+    try {
+      const feeds = await this.feedRegistry.listFeeds();
+
+      return res.status(200).json({
+        success: true,
+        feeds,
+      });
+    } catch (error) {
+      console.error("Failed to list feeds:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to list feeds",
+      });
+    }
+  }
+
+  /**
+   * Get a single feed with its polling status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFeed(req, res) {
+    try {
+      const feed = await this.feedRegistry.getFeed(req.params.feedId);
+
+      if (!feed) {
+        return res.status(404).json({
+          success: false,
+          message: "Feed not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        feed,
+      });
+    } catch (error) {
+      console.error("Failed to get feed:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get feed",
+      });
+    }
+  }
+
+  /**
+   * Register a new feed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createFeed(req, res) {
+    try {
+      const { url, name, pollIntervalMinutes, enabled } = req.body;
+
+      if (await this._isFeedUrlTaken(url)) {
+        return res.status(409).json({
+          success: false,
+          message: "Feed is already registered",
+        });
+      }
+
+      const feed = await this.feedRegistry.createFeed({
+        url,
+        name,
+        pollIntervalMinutes,
+        enabled,
+      });
+
+      return res.status(201).json({
+        success: true,
+        feed,
+      });
+    } catch (error) {
+      console.error("Failed to create feed:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create feed",
+      });
+    }
+  }
+
+  /**
+   * Update a feed's URL, name, polling interval or enabled flag
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateFeed(req, res) {
+    try {
+      const { url, name, pollIntervalMinutes, enabled } = req.body;
+      const changes = Object.fromEntries(
+        Object.entries({ url, name, pollIntervalMinutes, enabled }).filter(
+          ([, value]) => value !== undefined
+        )
+      );
+
+      if (url && (await this._isFeedUrlTaken(url, req.params.feedId))) {
+        return res.status(409).json({
+          success: false,
+          message: "Feed is already registered",
+        });
+      }
+
+      const feed = await this.feedRegistry.updateFeed(
+        req.params.feedId,
+        changes
+      );
+
+      if (!feed) {
+        return res.status(404).json({
+          success: false,
+          message: "Feed not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        feed,
+      });
+    } catch (error) {
+      console.error("Failed to update feed:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to update feed",
+      });
+    }
+  }
+
+  /**
+   * Remove a feed from the registry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteFeed(req, res) {
+    try {
+      const feed = await this.feedRegistry.getFeed(req.params.feedId);
+      const deleted = await this.feedRegistry.deleteFeed(req.params.feedId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: "Feed not found",
+        });
+      }
+
+      // Re-adding the feed later should fetch it in full
+      if (this.fetchState) {
+        await this.fetchState.delete(feed.url);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Feed deleted",
+      });
+    } catch (error) {
+      console.error("Failed to delete feed:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to delete feed",
+      });
+    }
+  }
+
+  /**
+   * Poll a feed immediately instead of waiting for its interval
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async pollFeed(req, res) {
+    try {
+      const feed = await this.feedRegistry.getFeed(req.params.feedId);
+
+      if (!feed) {
+        return res.status(404).json({
+          success: false,
+          message: "Feed not found",
+        });
+      }
+
+      if (this.feedScheduler.isPolling(feed.id)) {
+        return res.status(409).json({
+          success: false,
+          message: "Feed is already being polled",
+        });
+      }
+
+      const polled = await this.feedScheduler.pollFeed(feed);
+
+      return res.status(200).json({
+        success: Boolean(polled && !polled.lastError),
+        feed: polled,
+      });
+    } catch (error) {
+      console.error("Failed to poll feed:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to poll feed",
+      });
+    }
+  }
+
+  /**
+   * List every prompt template version
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listPromptTemplates(req, res) {
+    try {
+      const templates = await this.promptTemplates.listTemplates();
+
+      return res.status(200).json({
+        success: true,
+        defaultTemplate: this.promptTemplates.defaultTemplate,
+        templates,
+      });
+    } catch (error) {
+      console.error("Failed to list prompt templates:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to list prompt templates",
+      });
+    }
+  }
+
+  /**
+   * Store a new version of a prompt template
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createPromptTemplate(req, res) {
+    if (!this.promptTemplates.persistenceService) {
+      return res.status(503).json({
+        success: false,
+        message: "Storing prompt templates requires PostgreSQL",
+      });
+    }
+
+    try {
+      const template = await this.promptTemplates.createTemplate(req.body);
+
+      return res.status(201).json({
+        success: true,
+        template,
+      });
+    } catch (error) {
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Another version of this template was being created at the same time; try again",
+        });
+      }
+
+      console.error("Failed to create prompt template:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create prompt template",
+      });
+    }
+  }
+
+  /**
+   * Check whether another feed is registered with a URL
+   * @param {string} url - Feed URL
+   * @param {string} feedId - Feed being updated, which may keep its URL (optional)
+   * @returns {Promise<boolean>} - True when the URL belongs to a different feed
+   */
+  async _isFeedUrlTaken(url, feedId) {
+    const existing = await this.feedRegistry.findFeedByUrl(url);
+    return Boolean(existing && existing.id !== feedId);
+  }
+}
+
+module.exports = AdminController;
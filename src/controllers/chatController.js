@@ -1,5 +1,19 @@
 // backend/src/controllers/chatController.js
 const { v4: uuidv4 } = require("uuid");
+const { extractCitations, CitationStreamFilter } = require("../rag/citations");
+const { toSourceReference } = require("../models/chunkPayload");
+const { parsePagination } = require("../utils/pagination");
+const {
+  EXPORT_FORMATS,
+  exportConversation,
+} = require("../utils/conversationExport");
+const {
+  normalizeMessages,
+  getBranch,
+  isCompleteBranch,
+  getHeadId,
+  listBranches,
+} = require("../utils/conversationTree");
 
 /**
  * Controller for chat-related operations
@@ -12,8 +26,14 @@ class ChatController {
   constructor(services) {
     this.embeddingService = services.embeddingService;
     this.vectorStoreService = services.vectorStoreService;
+    this.retriever = services.retriever;
+    this.queryRewriter = services.queryRewriter; // Optional follow-up condensation
+    this.titleGenerator = services.titleGenerator; // Optional session naming
+    this.contextAssembler = services.contextAssembler;
+    this.promptTemplates = services.promptTemplateService;
     this.llmService = services.llmService;
     this.cacheService = services.cacheService;
+    this.answerCache = services.answerCache; // Optional semantic answer cache
     this.persistenceService = services.persistenceService; // Optional SQL persistence
   }
 
@@ -24,15 +44,43 @@ class ChatController {
    */
   async createSession(req, res) {
     try {
+      // Pin the session to a template version so its answers stay comparable
+      let settings = {};
+      const requestedTemplate = req.body && req.body.promptTemplate;
+      if (requestedTemplate) {
+        const template = await this.promptTemplates.resolve(requestedTemplate);
+
+        if (!template) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown prompt template "${requestedTemplate}"`,
+          });
+        }
+
+        settings = { promptTemplate: template.id };
+      }
+
       // Generate a unique session ID
       const sessionId = uuidv4();
 
-      // Create empty session in Redis
+      // Create empty session in Redis, owned by the caller
+      await this.cacheService.setSessionOwner(sessionId, req.user.id);
+      await this.cacheService.setSessionSettings(sessionId, settings);
       await this.cacheService.storeChatSession(sessionId, []);
 
+      // Optional: Record the session in SQL so it outlives the Redis TTL
+      if (this.persistenceService) {
+        await this.persistenceService.createSession(
+          sessionId,
+          req.user.id,
+          settings
+        );
+      }
+
       return res.status(201).json({
         success: true,
         sessionId,
+        ...settings,
         message: "Chat session created",
       });
     } catch (error) {
@@ -45,7 +93,72 @@ class ChatController {
   }
 
   /**
-   * Get chat session history
+   * List the caller's sessions, most recently active first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listSessions(req, res) {
+    try {
+      const { page, limit, offset } = parsePagination(req.query);
+
+      // SQL keeps every session; without it only the ones still in Redis exist
+      const { total, sessions } = this.persistenceService
+        ? await this._listPersistedSessions(req.user.id, { limit, offset })
+        : await this.cacheService.listUserSessions(req.user.id, {
+            limit,
+            offset,
+          });
+
+      return res.status(200).json({
+        success: true,
+        page,
+        limit,
+        total,
+        sessions,
+      });
+    } catch (error) {
+      console.error("Failed to list chat sessions:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to list chat sessions",
+      });
+    }
+  }
+
+  /**
+   * Rename a chat session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async renameSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const title = req.body.title.trim();
+
+      await this.cacheService.setSessionTitle(sessionId, title);
+
+      if (this.persistenceService) {
+        await this.persistenceService.setSessionTitle(sessionId, title);
+      }
+
+      return res.status(200).json({
+        success: true,
+        sessionId,
+        title,
+        message: "Chat session renamed",
+      });
+    } catch (error) {
+      console.error("Failed to rename chat session:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to rename chat session",
+      });
+    }
+  }
+
+  /**
+   * Get one branch of a chat session, the active one unless ?branch= names
+   * another branch's last message
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
@@ -60,20 +173,36 @@ class ChatController {
         });
       }
 
-      // Get chat history from Redis
-      const history = await this.cacheService.getChatSession(sessionId);
+      // Get chat history from Redis, falling back to SQL
+      const conversation = await this._loadConversation(
+        sessionId,
+        req.query.branch
+      );
 
-      if (!history) {
+      if (!conversation) {
         return res.status(404).json({
           success: false,
           message: "Chat session not found",
         });
       }
 
+      const leafId = req.query.branch || conversation.headId;
+      const history = leafId ? getBranch(conversation.messages, leafId) : [];
+
+      if (!history) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
       return res.status(200).json({
         success: true,
         sessionId,
+        headId: conversation.headId,
+        branch: leafId,
         history,
+        branches: listBranches(conversation.messages),
       });
     } catch (error) {
       console.error("Failed to get chat session history:", error);
@@ -84,6 +213,84 @@ class ChatController {
     }
   }
 
+  /**
+   * Download a session as Markdown, JSON or HTML with a bibliography of the
+   * cited articles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const format = req.query.format || "md";
+
+      if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(
+            ", "
+          )}`,
+        });
+      }
+
+      // SQL holds the whole conversation; Redis only its newest messages
+      const persisted =
+        this.persistenceService &&
+        (await this.persistenceService.getSessionMessages(sessionId));
+      const messages = persisted
+        ? persisted.messages
+        : await this.cacheService.getChatSession(sessionId);
+
+      if (!messages) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat session not found",
+        });
+      }
+
+      const metadata =
+        (await this.cacheService.getSessionMetadata(sessionId)) ||
+        (this.persistenceService &&
+          (await this.persistenceService.getSessionMetadata(sessionId))) ||
+        {};
+
+      // Export one branch: the active one unless ?branch= names another
+      const normalized = normalizeMessages(messages);
+      const leafId = req.query.branch || getHeadId(normalized, metadata.headId);
+      const branch = leafId ? getBranch(normalized, leafId) : [];
+
+      if (!branch) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
+
+      const { contentType, filename, body } = exportConversation(
+        {
+          sessionId,
+          title: metadata.title,
+          createdAt: metadata.createdAt,
+          messages: branch,
+        },
+        format
+      );
+
+      res.setHeader("Content-Type", contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+      return res.status(200).send(body);
+    } catch (error) {
+      console.error("Failed to export chat session:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to export chat session",
+      });
+    }
+  }
+
   /**
    * Send a message and get response
    * @param {Object} req - Express request object
@@ -92,7 +299,8 @@ class ChatController {
   async sendMessage(req, res) {
     try {
       const { sessionId } = req.params;
-      const { message } = req.body;
+      const { message, filters, searchMode, promptTemplate, parentId } =
+        req.body;
 
       if (!sessionId || !message) {
         return res.status(400).json({
@@ -101,101 +309,185 @@ class ChatController {
         });
       }
 
-      // Get chat history
-      const history = (await this.cacheService.getChatSession(sessionId)) || [];
+      const template = await this._resolvePromptTemplate(
+        sessionId,
+        promptTemplate
+      );
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: "Unknown prompt template",
+        });
+      }
 
-      // Add user message to history
-      const userMessage = {
-        role: "user",
-        content: message,
-        timestamp: new Date().toISOString(),
+      // Reply after the given message, or at the end of the active branch
+      const conversation = (await this._loadConversation(
+        sessionId,
+        parentId
+      )) || {
+        messages: [],
+        headId: null,
       };
+      const afterId = parentId || conversation.headId;
+      const history = afterId ? getBranch(conversation.messages, afterId) : [];
 
-      history.push(userMessage);
+      if (!history) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
 
-      // Check if we have a cached response for this query
-      const cachedResult = await this.cacheService.getCachedQueryResult(
-        message
-      );
+      const userMessage = createMessage("user", message, afterId);
+      const reply = await this._answer(sessionId, {
+        history,
+        userMessage,
+        newMessages: [userMessage],
+        filters,
+        searchMode,
+        template,
+      });
 
-      if (cachedResult) {
-        console.log("Using cached response");
+      return res.status(200).json({ success: true, ...reply });
+    } catch (error) {
+      console.error("Failed to process chat message:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to process your message",
+      });
+    }
+  }
 
-        // Add bot message to history
-        const botMessage = {
-          role: "assistant",
-          content: cachedResult.response,
-          sources: cachedResult.sources,
-          timestamp: new Date().toISOString(),
-        };
+  /**
+   * Answer the last question of the active branch again, e.g. with different
+   * filters. The previous answer stays available as a sibling branch.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async regenerateMessage(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { filters, searchMode, promptTemplate } = req.body || {};
 
-        history.push(botMessage);
+      const template = await this._resolvePromptTemplate(
+        sessionId,
+        promptTemplate
+      );
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: "Unknown prompt template",
+        });
+      }
 
-        // Update session with both messages
-        await this.cacheService.storeChatSession(sessionId, history);
+      const conversation = await this._loadConversation(sessionId);
+      const branch =
+        conversation && conversation.headId
+          ? getBranch(conversation.messages, conversation.headId)
+          : [];
 
-        return res.status(200).json({
-          success: true,
-          response: botMessage,
-          cached: true,
+      // A branch can end in a question whose answer failed; answer it then
+      const last = branch[branch.length - 1];
+      const userIndex =
+        last && last.role === "assistant"
+          ? branch.length - 2
+          : branch.length - 1;
+      const userMessage = branch[userIndex];
+
+      if (!userMessage || userMessage.role !== "user") {
+        return res.status(400).json({
+          success: false,
+          message: "There is no answer to regenerate",
         });
       }
 
-      // Generate embedding for the user query
-      const queryEmbedding = await this.embeddingService.embedText(message);
+      const reply = await this._answer(sessionId, {
+        history: branch.slice(0, userIndex),
+        userMessage,
+        newMessages: [],
+        filters,
+        searchMode,
+        template,
+        // The point is a fresh answer, not the cached one
+        useCache: false,
+      });
 
-      // Get relevant documents
-      const relevantDocs = await this.vectorStoreService.similaritySearch(
-        queryEmbedding,
-        5
-      );
+      return res.status(200).json({ success: true, ...reply });
+    } catch (error) {
+      console.error("Failed to regenerate chat message:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to regenerate the answer",
+      });
+    }
+  }
 
-      // Generate response using LLM
-      const response = await this.llmService.generateResponse(
-        message,
-        relevantDocs,
-        history
+  /**
+   * Edit an earlier question. The edit starts a new branch from the point
+   * where the original was asked; the original branch is kept.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async editMessage(req, res) {
+    try {
+      const { sessionId, messageId } = req.params;
+      const { message, filters, searchMode, promptTemplate } = req.body;
+
+      const template = await this._resolvePromptTemplate(
+        sessionId,
+        promptTemplate
       );
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: "Unknown prompt template",
+        });
+      }
 
-      // Create bot message
-      const botMessage = {
-        role: "assistant",
-        content: response,
-        sources: relevantDocs.map((doc) => ({
-          title: doc.metadata.title,
-          source: doc.metadata.source,
-          url: doc.metadata.url,
-        })),
-        timestamp: new Date().toISOString(),
-      };
+      const conversation = await this._loadConversation(sessionId, messageId);
+      const original =
+        conversation &&
+        conversation.messages.find((msg) => msg.id === messageId);
 
-      // Add bot message to history
-      history.push(botMessage);
+      if (!original) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
 
-      // Update session with both messages
-      await this.cacheService.storeChatSession(sessionId, history);
+      if (original.role !== "user") {
+        return res.status(400).json({
+          success: false,
+          message: "Only user messages can be edited",
+        });
+      }
 
-      // Cache the query result
-      await this.cacheService.cacheQueryResult(message, {
-        response,
-        sources: botMessage.sources,
+      // Without SQL the parent may have been trimmed from Redis
+      const history =
+        (original.parentId &&
+          getBranch(conversation.messages, original.parentId)) ||
+        [];
+      const userMessage = createMessage("user", message, original.parentId);
+      const reply = await this._answer(sessionId, {
+        history,
+        userMessage,
+        newMessages: [userMessage],
+        filters,
+        searchMode,
+        template,
       });
 
-      // Optional: Persist chat in SQL
-      if (this.persistenceService) {
-        this.persistenceService.saveChatMessage(sessionId, userMessage);
-        this.persistenceService.saveChatMessage(sessionId, botMessage);
-      }
-
       return res.status(200).json({
         success: true,
-        response: botMessage,
+        editedMessageId: messageId,
+        ...reply,
       });
     } catch (error) {
-      console.error("Failed to process chat message:", error);
+      console.error("Failed to edit chat message:", error);
       return res.status(500).json({
         success: false,
-        message: "Failed to process your message",
+        message: "Failed to edit the message",
       });
     }
   }
@@ -208,7 +500,8 @@ class ChatController {
   async streamMessage(req, res) {
     try {
       const { sessionId } = req.params;
-      const { message } = req.body;
+      const { message, filters, searchMode, promptTemplate, parentId } =
+        req.body;
 
       if (!sessionId || !message) {
         return res.status(400).json({
@@ -217,110 +510,65 @@ class ChatController {
         });
       }
 
-      // Set appropriate headers for SSE
-      res.setHeader("Content-Type", "text/event-stream");
-      res.setHeader("Cache-Control", "no-cache");
-      res.setHeader("Connection", "keep-alive");
-
-      // Get chat history
-      const history = (await this.cacheService.getChatSession(sessionId)) || [];
-
-      // Add user message to history
-      const userMessage = {
-        role: "user",
-        content: message,
-        timestamp: new Date().toISOString(),
-      };
-
-      history.push(userMessage);
-
-      // Update session with user message
-      await this.cacheService.storeChatSession(sessionId, history);
-
-      // Generate embedding for the user query
-      const queryEmbedding = await this.embeddingService.embedText(message);
-
-      // Get relevant documents
-      const relevantDocs = await this.vectorStoreService.similaritySearch(
-        queryEmbedding,
-        5
-      );
-
-      // Start the stream
-      res.write("data: " + JSON.stringify({ type: "start" }) + "\n\n");
-
-      // Stream sources info
-      res.write(
-        "data: " +
-          JSON.stringify({
-            type: "sources",
-            sources: relevantDocs.map((doc) => ({
-              title: doc.metadata.title,
-              source: doc.metadata.source,
-              url: doc.metadata.url,
-            })),
-          }) +
-          "\n\n"
+      const template = await this._resolvePromptTemplate(
+        sessionId,
+        promptTemplate
       );
-
-      // Create a stream for the response
-      let fullResponse = "";
-
-      // Generate streaming response
-      for await (const chunk of this.llmService.generateStreamingResponse(
-        message,
-        relevantDocs,
-        history
-      )) {
-        res.write(
-          "data: " + JSON.stringify({ type: "chunk", content: chunk }) + "\n\n"
-        );
-        fullResponse += chunk;
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: "Unknown prompt template",
+        });
       }
 
-      // Create bot message with full response
-      const botMessage = {
-        role: "assistant",
-        content: fullResponse,
-        sources: relevantDocs.map((doc) => ({
-          title: doc.metadata.title,
-          source: doc.metadata.source,
-          url: doc.metadata.url,
-        })),
-        timestamp: new Date().toISOString(),
+      // Reply after the given message, or at the end of the active branch
+      const conversation = (await this._loadConversation(
+        sessionId,
+        parentId
+      )) || {
+        messages: [],
+        headId: null,
       };
+      const afterId = parentId || conversation.headId;
+      const history = afterId ? getBranch(conversation.messages, afterId) : [];
 
-      // Add bot message to history
-      history.push(botMessage);
+      if (!history) {
+        return res.status(404).json({
+          success: false,
+          message: "Message not found",
+        });
+      }
 
-      // Update session with both messages
-      await this.cacheService.storeChatSession(sessionId, history);
+      // Set appropriate headers for SSE
+      res.setHeader("Content-Type", "text/event-stream");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("Connection", "keep-alive");
 
-      // Cache the query result
-      await this.cacheService.cacheQueryResult(message, {
-        response: fullResponse,
-        sources: botMessage.sources,
+      const userMessage = createMessage("user", message, afterId);
+      const reply = await this._answer(sessionId, {
+        history,
+        userMessage,
+        newMessages: [userMessage],
+        filters,
+        searchMode,
+        template,
+        onEvent: (event) => writeEvent(res, event),
       });
 
-      // Optional: Persist chat in SQL
-      if (this.persistenceService) {
-        this.persistenceService.saveChatMessage(sessionId, userMessage);
-        this.persistenceService.saveChatMessage(sessionId, botMessage);
-      }
-
       // End the stream
-      res.write("data: " + JSON.stringify({ type: "end" }) + "\n\n");
+      writeEvent(res, {
+        type: "end",
+        messageId: reply.response.id,
+        noRelevantContext: Boolean(reply.noRelevantContext),
+        cached: Boolean(reply.cached),
+      });
       res.end();
     } catch (error) {
       console.error("Failed to stream chat message:", error);
-      res.write(
-        "data: " +
-          JSON.stringify({
-            type: "error",
-            message: "An error occurred while processing your message",
-          }) +
-          "\n\n"
-      );
+      writeEvent(res, {
+        type: "error",
+        message: "An error occurred while processing your message",
+      });
       res.end();
     }
   }
@@ -341,12 +589,14 @@ class ChatController {
         });
       }
 
-      // Delete session from Redis
-      await this.cacheService.deleteChatSession(sessionId);
-
-      // Create empty session
+      // Replace the session with an empty one, keeping its owner
       await this.cacheService.storeChatSession(sessionId, []);
 
+      // Optional: Clear persisted messages so they aren't restored later
+      if (this.persistenceService) {
+        await this.persistenceService.clearSessionMessages(sessionId);
+      }
+
       return res.status(200).json({
         success: true,
         message: "Chat session cleared",
@@ -359,6 +609,495 @@ class ChatController {
       });
     }
   }
+
+  /**
+   * Load a session's messages from Redis, restoring them from SQL when the
+   * Redis copy has expired or no longer holds the whole branch asked for
+   * @param {string} sessionId - Unique session identifier
+   * @param {string} leafId - Last message of the branch the caller needs (optional, defaults to the head)
+   * @returns {Promise<Object|null>} - { messages, headId } with normalized messages, or null if not found
+   */
+  async _loadConversation(sessionId, leafId) {
+    const cached = await this.cacheService.getChatSession(sessionId);
+    let conversation = null;
+
+    if (cached) {
+      const metadata = await this.cacheService.getSessionMetadata(sessionId);
+      conversation = toConversation(cached, metadata);
+
+      // Redis trims the newest messages of all branches together, so an
+      // older branch may reach past what it still holds
+      const branchId = leafId || conversation.headId;
+      if (
+        !this.persistenceService ||
+        !branchId ||
+        isCompleteBranch(conversation.messages, branchId)
+      ) {
+        return conversation;
+      }
+    }
+
+    if (!this.persistenceService) {
+      return null;
+    }
+
+    const persisted = await this.persistenceService.getSessionMessages(
+      sessionId
+    );
+
+    if (!persisted) {
+      return conversation;
+    }
+
+    if (conversation) {
+      // Redis already holds the newest messages and the current head
+      return toConversation(persisted.messages, {
+        headId: conversation.headId,
+      });
+    }
+
+    const metadata = await this.persistenceService.getSessionMetadata(
+      sessionId
+    );
+
+    // Re-warm Redis so the next turn doesn't hit SQL again
+    await this.cacheService.storeChatSession(sessionId, persisted.messages, {
+      messageCount: persisted.total,
+      headId: metadata && metadata.headId,
+    });
+
+    return toConversation(persisted.messages, metadata);
+  }
+
+  /**
+   * Answer a user message in its branch: rewrite, retrieve, generate, then
+   * store the new messages
+   * @param {string} sessionId - Unique session identifier
+   * @param {Object} turn - Turn to answer
+   * @param {Array} turn.history - Branch before the user message, oldest first
+   * @param {Object} turn.userMessage - Question being answered
+   * @param {Array} turn.newMessages - Messages to store before the answer (the
+   * user message, unless it is already stored)
+   * @param {Object} turn.filters - Metadata filters (optional)
+   * @param {string} turn.searchMode - Retrieval mode (optional)
+   * @param {Object} turn.template - Prompt template
+   * @param {boolean} turn.useCache - Whether a cached answer may be reused (optional)
+   * @param {Function} turn.onEvent - Receives start, sources, chunk and citations
+   * events while the answer is streamed (optional, answers in one piece without)
+   * @returns {Promise<Object>} - { userMessage, response, rewrittenQuery, ... } for the JSON reply
+   */
+  async _answer(sessionId, turn) {
+    const {
+      history,
+      userMessage,
+      newMessages,
+      filters,
+      searchMode,
+      template,
+      useCache = true,
+      onEvent,
+    } = turn;
+    const message = userMessage.content;
+    const emit = onEvent || (() => {});
+
+    // Turn follow-ups into a standalone query before searching
+    const searchQuery = await this._rewriteQuery(message, history);
+    const isFirstTurn = history.length === 0;
+
+    // Reuse the answer to a near-identical query with the same settings
+    const cacheScope = { filters, searchMode, promptTemplate: template.id };
+    const queryEmbedding = await this._embedQuery(searchQuery);
+    const cachedResult = useCache
+      ? await this._lookupAnswer(queryEmbedding, cacheScope)
+      : null;
+
+    if (cachedResult) {
+      console.log(
+        `Using cached answer for "${
+          cachedResult.cachedQuery
+        }" (similarity ${cachedResult.similarity.toFixed(3)})`
+      );
+
+      emit({
+        type: "start",
+        rewrittenQuery: searchQuery,
+        userMessageId: userMessage.id,
+      });
+      emit({ type: "sources", sources: cachedResult.sources, usedChunks: [] });
+      emit({ type: "chunk", content: cachedResult.response });
+      emit({
+        type: "citations",
+        content: cachedResult.response,
+        citations: cachedResult.citations || [],
+      });
+
+      const botMessage = createMessage(
+        "assistant",
+        cachedResult.response,
+        userMessage.id,
+        {
+          sources: cachedResult.sources,
+          citations: cachedResult.citations || [],
+          promptTemplate: cachedResult.promptTemplate,
+        }
+      );
+
+      await this._appendMessages(sessionId, [...newMessages, botMessage]);
+      await this._persistMessages(sessionId, [...newMessages, botMessage]);
+
+      if (isFirstTurn) {
+        this._titleSession(sessionId, message, botMessage.content);
+      }
+
+      return {
+        userMessage,
+        response: botMessage,
+        rewrittenQuery: searchQuery,
+        cached: true,
+        cachedQuery: cachedResult.cachedQuery,
+        similarity: cachedResult.similarity,
+      };
+    }
+
+    // Get relevant documents (hybrid dense + keyword search by default)
+    const retrievedDocs = await this.retriever.retrieve(searchQuery, {
+      limit: 5,
+      mode: searchMode,
+      filters,
+      queryEmbedding,
+    });
+
+    // Fit the most relevant passages into the context budget
+    const { documents: relevantDocs, usedChunks } =
+      this.contextAssembler.assemble(retrievedDocs);
+
+    const sources = relevantDocs.map((doc) => toSourceReference(doc.metadata));
+    emit({
+      type: "start",
+      rewrittenQuery: searchQuery,
+      userMessageId: userMessage.id,
+    });
+    emit({ type: "sources", sources, usedChunks });
+
+    // Answer from the LLM only when some chunk passed the relevance cutoff
+    const hasContext = relevantDocs.length > 0;
+    let response;
+
+    if (!hasContext) {
+      response = getNoContextResponse(filters);
+      emit({ type: "chunk", content: response });
+    } else if (onEvent) {
+      response = await this._streamResponse(
+        message,
+        relevantDocs,
+        [...history, userMessage],
+        template,
+        emit
+      );
+    } else {
+      response = await this.llmService.generateResponse(
+        message,
+        relevantDocs,
+        [...history, userMessage],
+        { template }
+      );
+    }
+
+    // Map [n] markers to their articles, dropping ones that match none
+    const { content, citations } = extractCitations(response, relevantDocs);
+    emit({ type: "citations", content, citations });
+
+    const botMessage = createMessage("assistant", content, userMessage.id, {
+      sources,
+      citations,
+      promptTemplate: hasContext ? template.id : null,
+    });
+
+    await this._appendMessages(sessionId, [...newMessages, botMessage]);
+
+    // Cache the answer; "nothing found" may change after the next ingestion.
+    // Cached answers are shared between users, so only those written without
+    // a conversation in the prompt are kept.
+    if (hasContext && isFirstTurn) {
+      await this._storeAnswer(queryEmbedding, cacheScope, searchQuery, {
+        response: content,
+        sources: botMessage.sources,
+        citations,
+        promptTemplate: template.id,
+      });
+    }
+
+    // Optional: Persist chat in SQL
+    await this._persistMessages(sessionId, [...newMessages, botMessage]);
+
+    // Named in the background so the reply isn't held up
+    if (isFirstTurn) {
+      this._titleSession(sessionId, message, content);
+    }
+
+    return {
+      userMessage,
+      response: botMessage,
+      rewrittenQuery: searchQuery,
+      usedChunks,
+      noRelevantContext: !hasContext,
+    };
+  }
+
+  /**
+   * Stream an answer from the LLM, emitting its text as chunk events
+   * @param {string} message - User question
+   * @param {Array} documents - Context documents
+   * @param {Array} history - Branch up to and including the question
+   * @param {Object} template - Prompt template
+   * @param {Function} emit - Receives the chunk events
+   * @returns {Promise<string>} - Full response, citation markers included
+   */
+  async _streamResponse(message, documents, history, template, emit) {
+    const chunks = this.llmService.generateStreamingResponse(
+      message,
+      documents,
+      history,
+      { template }
+    );
+
+    // Markers citing no article are dropped before they reach the client
+    const markerFilter = new CitationStreamFilter(documents.length);
+    const emitText = (text) => {
+      if (text) {
+        emit({ type: "chunk", content: text });
+      }
+    };
+
+    let response = "";
+    for await (const chunk of chunks) {
+      emitText(markerFilter.push(chunk));
+      response += chunk;
+    }
+    emitText(markerFilter.flush());
+
+    return response;
+  }
+
+  /**
+   * Resolve the prompt template for a turn: the request's choice, then the
+   * session's, then the default
+   * @param {string} sessionId - Unique session identifier
+   * @param {string} requested - Template reference from the request (optional)
+   * @returns {Promise<Object|null>} - Template, or null if the reference is unknown
+   */
+  async _resolvePromptTemplate(sessionId, requested) {
+    let ref = requested;
+
+    if (!ref) {
+      const settings =
+        (await this.cacheService.getSessionSettings(sessionId)) ||
+        (this.persistenceService &&
+          (await this.persistenceService.getSessionSettings(sessionId)));
+      ref = settings && settings.promptTemplate;
+    }
+
+    return this.promptTemplates.resolve(ref);
+  }
+
+  /**
+   * Rewrite a follow-up message into a standalone search query
+   * @param {string} message - Latest user message
+   * @param {Array} history - Earlier messages in the session
+   * @returns {Promise<string>} - Query used for retrieval and caching
+   */
+  async _rewriteQuery(message, history) {
+    if (!this.queryRewriter) {
+      return message;
+    }
+
+    return this.queryRewriter.rewrite(message, history);
+  }
+
+  /**
+   * Embed the search query once for the answer cache and dense retrieval
+   * @param {string} query - Search query
+   * @returns {Promise<Array<number>|null>} - Embedding, or null when there is no answer cache or embedding failed
+   */
+  async _embedQuery(query) {
+    if (!this.answerCache) {
+      return null;
+    }
+
+    try {
+      return await this.embeddingService.embedText(query);
+    } catch (error) {
+      console.error("Failed to embed query for the answer cache:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Append a turn's messages to the session in Redis
+   * @param {string} sessionId - Unique session identifier
+   * @param {Array} messages - New messages, oldest first
+   */
+  async _appendMessages(sessionId, messages) {
+    // One step, so concurrent turns don't clobber each other
+    if (!(await this.cacheService.appendMessages(sessionId, messages))) {
+      throw new Error(`Failed to store messages of session ${sessionId}`);
+    }
+  }
+
+  /**
+   * Find a cached answer to a similar query
+   * @param {Array<number>|null} queryEmbedding - Query embedding
+   * @param {Object} scope - { filters, searchMode, promptTemplate }
+   * @returns {Promise<Object|null>} - Cached result or null on a miss
+   */
+  async _lookupAnswer(queryEmbedding, scope) {
+    if (!this.answerCache || !queryEmbedding) {
+      return null;
+    }
+
+    return this.answerCache.lookup(queryEmbedding, scope);
+  }
+
+  /**
+   * Cache an answer for later similar queries
+   * @param {Array<number>|null} queryEmbedding - Query embedding
+   * @param {Object} scope - { filters, searchMode, promptTemplate }
+   * @param {string} query - Search query
+   * @param {Object} result - { response, sources, citations, promptTemplate }
+   */
+  async _storeAnswer(queryEmbedding, scope, query, result) {
+    if (!this.answerCache || !queryEmbedding) {
+      return;
+    }
+
+    await this.answerCache.store(queryEmbedding, scope, query, result);
+  }
+
+  /**
+   * Name a session after its first exchange, unless it already has a title.
+   * Never throws, so callers needn't await it.
+   * @param {string} sessionId - Unique session identifier
+   * @param {string} question - First user message
+   * @param {string} answer - First assistant reply
+   */
+  async _titleSession(sessionId, question, answer) {
+    if (!this.titleGenerator) {
+      return;
+    }
+
+    try {
+      const title = await this.titleGenerator.generate(question, answer);
+
+      await this.cacheService.setSessionTitle(sessionId, title, {
+        overwrite: false,
+      });
+
+      if (this.persistenceService) {
+        await this.persistenceService.setSessionTitle(sessionId, title, {
+          overwrite: false,
+        });
+      }
+    } catch (error) {
+      console.error("Failed to title chat session:", error);
+    }
+  }
+
+  /**
+   * List a user's sessions from SQL in the same shape as the Redis listing
+   * @param {string} userId - Owner's user ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} - { total, sessions }
+   */
+  async _listPersistedSessions(userId, { limit, offset }) {
+    const { total, sessions } = await this.persistenceService.listSessions({
+      userId,
+      limit,
+      offset,
+    });
+
+    return {
+      total,
+      sessions: sessions.map((session) => ({
+        sessionId: session.sessionId,
+        title: session.title,
+        createdAt: session.createdAt,
+        lastActivityAt: session.lastMessageAt || session.createdAt,
+        messageCount: session.messageCount,
+      })),
+    };
+  }
+
+  /**
+   * Persist messages to SQL without failing the chat turn
+   * @param {string} sessionId - Unique session identifier
+   * @param {Array} messages - Messages to persist, in order
+   */
+  async _persistMessages(sessionId, messages) {
+    if (!this.persistenceService) {
+      return;
+    }
+
+    try {
+      for (const message of messages) {
+        await this.persistenceService.saveChatMessage(sessionId, message);
+      }
+    } catch (error) {
+      console.error("Failed to persist chat messages:", error);
+    }
+  }
+}
+
+/**
+ * Build a conversation from stored messages
+ * @param {Array} messages - Stored messages, oldest first
+ * @param {Object|null} metadata - Session metadata with the recorded head
+ * @returns {Object} - { messages, headId } with normalized messages
+ */
+function toConversation(messages, metadata) {
+  const normalized = normalizeMessages(messages);
+  return {
+    messages: normalized,
+    headId: getHeadId(normalized, metadata && metadata.headId),
+  };
+}
+
+/**
+ * Create a chat message with a new ID
+ * @param {string} role - "user" or "assistant"
+ * @param {string} content - Message text
+ * @param {string|null} parentId - Message this one follows, null for the first
+ * @param {Object} fields - Extra fields, e.g. sources and citations (optional)
+ * @returns {Object} - Chat message
+ */
+function createMessage(role, content, parentId, fields = {}) {
+  return {
+    id: uuidv4(),
+    parentId: parentId || null,
+    role,
+    content,
+    ...fields,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Write a server-sent event
+ * @param {Object} res - Express response object
+ * @param {Object} event - Event data
+ */
+function writeEvent(res, event) {
+  res.write("data: " + JSON.stringify(event) + "\n\n");
+}
+
+/**
+ * Reply used instead of the LLM when no chunk passes the relevance cutoff
+ * @param {Object} filters - Retrieval filters of the request (optional)
+ * @returns {string} - Assistant message
+ */
+function getNoContextResponse(filters) {
+  const scope =
+    Object.keys(filters || {}).length > 0 ? " matching your filters" : "";
+  return `I couldn't find any news articles${scope} relevant enough to answer that question, so I'd rather not guess. Try rephrasing it or asking about a different topic.`;
 }
 
 module.exports = ChatController;
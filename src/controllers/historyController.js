@@ -0,0 +1,122 @@
+// backend/src/controllers/historyController.js
+const { parsePagination } = require("../utils/pagination");
+
+/**
+ * Controller for browsing and deleting persisted chat history
+ */
+class HistoryController {
+  /**
+   * Initialize with required services
+   * @param {Object} services - Required services
+   */
+  constructor(services) {
+    this.persistenceService = services.persistenceService;
+    this.cacheService = services.cacheService;
+  }
+
+  /**
+   * List past chat sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listSessions(req, res) {
+    try {
+      const { page, limit, offset } = parsePagination(req.query);
+      const { total, sessions } = await this.persistenceService.listSessions({
+        userId: req.user.id,
+        limit,
+        offset,
+      });
+
+      return res.status(200).json({
+        success: true,
+        page,
+        limit,
+        total,
+        sessions,
+      });
+    } catch (error) {
+      console.error("Failed to list chat sessions:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to list chat sessions",
+      });
+    }
+  }
+
+  /**
+   * Page through the messages of a session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSessionMessages(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { page, limit, offset } = parsePagination(req.query);
+
+      const result = await this.persistenceService.getSessionMessages(
+        sessionId,
+        { limit, offset }
+      );
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat session not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        sessionId,
+        page,
+        limit,
+        total: result.total,
+        messages: result.messages,
+      });
+    } catch (error) {
+      console.error("Failed to get chat session messages:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get chat session messages",
+      });
+    }
+  }
+
+  /**
+   * Delete a session from persistent storage and the Redis cache
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const deleted = await this.persistenceService.deleteSession(sessionId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat session not found",
+        });
+      }
+
+      if (this.cacheService) {
+        await this.cacheService.deleteChatSession(sessionId);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Chat session deleted",
+      });
+    } catch (error) {
+      console.error("Failed to delete chat session:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to delete chat session",
+      });
+    }
+  }
+}
+
+module.exports = HistoryController;
@@ -0,0 +1,99 @@
+// backend/src/middleware/auth.js
+const jwt = require("jsonwebtoken");
+
+/**
+ * Create middleware that authenticates requests and attaches `req.user`
+ *
+ * Accepts either `Authorization: Bearer <jwt>` (subject becomes the user ID,
+ * `role`/`roles` claims become roles) or an `X-API-Key` header.
+ * @param {Object} config - { jwtSecret, jwtIssuer, apiKeys }; apiKeys maps each
+ * key to { id, roles }
+ * @returns {Function} - Express middleware
+ */
+function createAuthMiddleware(config = {}) {
+  const apiKeys = config.apiKeys || new Map();
+
+  if (!config.jwtSecret && apiKeys.size === 0) {
+    throw new Error(
+      "Authentication is not configured: set JWT_SECRET and/or API_KEYS"
+    );
+  }
+
+  return function authenticate(req, res, next) {
+    const apiKey = req.get("x-api-key");
+    const authorization = req.get("authorization") || "";
+
+    if (apiKey) {
+      const user = apiKeys.get(apiKey);
+      if (!user) {
+        return unauthorized(res, "Invalid API key");
+      }
+
+      req.user = { id: user.id, roles: user.roles };
+      return next();
+    }
+
+    if (authorization.startsWith("Bearer ") && config.jwtSecret) {
+      try {
+        const claims = jwt.verify(authorization.slice(7), config.jwtSecret, {
+          algorithms: ["HS256"],
+          issuer: config.jwtIssuer || undefined,
+        });
+
+        if (!claims.sub) {
+          return unauthorized(res, "Token has no subject");
+        }
+
+        req.user = {
+          id: String(claims.sub),
+          roles: [].concat(claims.roles || claims.role || []),
+        };
+        return next();
+      } catch (error) {
+        return unauthorized(res, "Invalid or expired token");
+      }
+    }
+
+    return unauthorized(res, "Authentication required");
+  };
+}
+
+/**
+ * Create middleware that only lets authenticated users with a role through
+ * Must run after the authentication middleware
+ * @param {string} role - Required role
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  return function authorize(req, res, next) {
+    if (!req.user) {
+      return unauthorized(res, "Authentication required");
+    }
+
+    if (!req.user.roles.includes(role)) {
+      return res.status(403).json({
+        success: false,
+        message: `This action requires the "${role}" role`,
+      });
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Send a structured 401 response
+ * @param {Object} res - Express response object
+ * @param {string} message - Reason shown to the client
+ */
+function unauthorized(res, message) {
+  return res.status(401).json({
+    success: false,
+    message,
+  });
+}
+
+module.exports = {
+  createAuthMiddleware,
+  requireRole,
+};
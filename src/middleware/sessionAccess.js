@@ -0,0 +1,70 @@
+// backend/src/middleware/sessionAccess.js
+const { validate: isUuid } = require("uuid");
+
+/**
+ * Create a `router.param("sessionId", ...)` handler that only lets a session's
+ * owner through, answering 404 for unknown sessions and 403 for other users'
+ * Must run after the authentication middleware
+ * @param {Object} services - { cacheService, persistenceService (optional) }
+ * @returns {Function} - Express param middleware
+ */
+function createSessionAccessMiddleware(services) {
+  const { cacheService, persistenceService } = services;
+
+  /**
+   * Look up a session's owner in Redis, falling back to SQL once the Redis
+   * copy has expired
+   * @param {string} sessionId - Unique session identifier
+   * @returns {Promise<string|null>} - Owner's user ID, or null if not found
+   */
+  async function findOwner(sessionId) {
+    // Session IDs are UUIDs; anything else can't exist (and Postgres rejects it)
+    if (!isUuid(sessionId)) {
+      return null;
+    }
+
+    const owner = await cacheService.getSessionOwner(sessionId);
+    if (owner || !persistenceService) {
+      return owner;
+    }
+
+    const persistedOwner = await persistenceService.getSessionOwner(sessionId);
+    if (persistedOwner) {
+      await cacheService.setSessionOwner(sessionId, persistedOwner);
+    }
+
+    return persistedOwner;
+  }
+
+  return async function requireSessionOwner(req, res, next, sessionId) {
+    try {
+      const owner = await findOwner(sessionId);
+
+      if (!owner) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat session not found",
+        });
+      }
+
+      if (owner !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not have access to this chat session",
+        });
+      }
+
+      return next();
+    } catch (error) {
+      console.error(`Failed to check access to session ${sessionId}:`, error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to check access to the chat session",
+      });
+    }
+  };
+}
+
+module.exports = {
+  createSessionAccessMiddleware,
+};
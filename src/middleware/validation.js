@@ -0,0 +1,409 @@
+// backend/src/middleware/validation.js
+const { RETRIEVAL_MODES } = require("../rag/retriever");
+const {
+  parseTemplateRef,
+  findMissingVariables,
+} = require("../rag/promptTemplates");
+
+const MAX_ARTICLES_PER_REQUEST = 500;
+const MAX_ARTICLE_CONTENT_LENGTH = 200000;
+const MAX_TITLE_LENGTH = 120;
+const MAX_MESSAGE_ID_LENGTH = 64;
+
+/**
+ * Create middleware that validates `req.body` and rejects it with a 400
+ * @param {Function} validator - Returns a list of error messages for a body
+ * @returns {Function} - Express middleware
+ */
+function validateBody(validator) {
+  return function validate(req, res, next) {
+    const errors = validator(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid request body",
+        errors,
+      });
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Validate the articles payload accepted by the ingestion endpoint
+ * @param {Object} body - Request body ({ articles: [...] })
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateIngestPayload(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+
+  const { articles } = body;
+
+  if (!Array.isArray(articles) || articles.length === 0) {
+    return ["articles must be a non-empty array"];
+  }
+
+  if (articles.length > MAX_ARTICLES_PER_REQUEST) {
+    return [
+      `articles must contain at most ${MAX_ARTICLES_PER_REQUEST} items per request`,
+    ];
+  }
+
+  const errors = [];
+
+  articles.forEach((article, index) => {
+    const at = `articles[${index}]`;
+
+    if (!article || typeof article !== "object" || Array.isArray(article)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+
+    for (const field of ["title", "content"]) {
+      if (typeof article[field] !== "string" || !article[field].trim()) {
+        errors.push(`${at}.${field} must be a non-empty string`);
+      }
+    }
+
+    if (
+      typeof article.content === "string" &&
+      article.content.length > MAX_ARTICLE_CONTENT_LENGTH
+    ) {
+      errors.push(
+        `${at}.content must be at most ${MAX_ARTICLE_CONTENT_LENGTH} characters`
+      );
+    }
+
+    for (const field of ["id", "guid", "link", "source", "author"]) {
+      if (article[field] !== undefined && typeof article[field] !== "string") {
+        errors.push(`${at}.${field} must be a string`);
+      }
+    }
+
+    if (
+      article.pubDate !== undefined &&
+      Number.isNaN(Date.parse(article.pubDate))
+    ) {
+      errors.push(`${at}.pubDate must be a valid date`);
+    }
+
+    if (
+      article.metadata !== undefined &&
+      (typeof article.metadata !== "object" ||
+        article.metadata === null ||
+        Array.isArray(article.metadata))
+    ) {
+      errors.push(`${at}.metadata must be an object`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the payload for sending a chat message
+ * @param {Object} body - Request body ({ message, parentId, filters, searchMode, promptTemplate })
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateMessagePayload(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+
+  const errors = [];
+
+  if (typeof body.message !== "string" || !body.message.trim()) {
+    errors.push("message must be a non-empty string");
+  }
+
+  if (
+    body.parentId !== undefined &&
+    (typeof body.parentId !== "string" ||
+      !body.parentId ||
+      body.parentId.length > MAX_MESSAGE_ID_LENGTH)
+  ) {
+    errors.push(
+      `parentId must be a non-empty string of at most ${MAX_MESSAGE_ID_LENGTH} characters`
+    );
+  }
+
+  errors.push(...validateAnswerOptions(body));
+
+  return errors;
+}
+
+/**
+ * Validate the optional payload for regenerating an answer
+ * @param {Object} body - Request body ({ filters, searchMode, promptTemplate }), may be absent
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateRegeneratePayload(body) {
+  if (body === undefined) {
+    return [];
+  }
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+
+  return validateAnswerOptions(body);
+}
+
+/**
+ * Validate the optional settings that shape an answer
+ * @param {Object} body - Request body ({ filters, searchMode, promptTemplate })
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateAnswerOptions(body) {
+  const errors = [];
+
+  if (body.filters !== undefined) {
+    errors.push(...validateSearchFilters(body.filters));
+  }
+
+  if (
+    body.searchMode !== undefined &&
+    !RETRIEVAL_MODES.includes(body.searchMode)
+  ) {
+    errors.push(`searchMode must be one of: ${RETRIEVAL_MODES.join(", ")}`);
+  }
+
+  errors.push(...validateTemplateRef(body.promptTemplate));
+
+  return errors;
+}
+
+/**
+ * Validate the optional payload for creating a chat session
+ * @param {Object} body - Request body ({ promptTemplate }), may be absent
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateSessionPayload(body) {
+  if (body === undefined) {
+    return [];
+  }
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+
+  return validateTemplateRef(body.promptTemplate);
+}
+
+/**
+ * Validate the payload for renaming a chat session
+ * @param {Object} body - Request body ({ title })
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateSessionUpdatePayload(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+
+  if (typeof body.title !== "string" || !body.title.trim()) {
+    return ["title must be a non-empty string"];
+  }
+
+  if (body.title.trim().length > MAX_TITLE_LENGTH) {
+    return [`title must be at most ${MAX_TITLE_LENGTH} characters`];
+  }
+
+  return [];
+}
+
+/**
+ * Validate an optional prompt template reference ("name" or "name@v2")
+ * @param {*} ref - Value from a request body
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateTemplateRef(ref) {
+  if (
+    ref !== undefined &&
+    (typeof ref !== "string" || !parseTemplateRef(ref))
+  ) {
+    return ['promptTemplate must look like "name" or "name@v2"'];
+  }
+
+  return [];
+}
+
+/**
+ * Validate the payload for storing a prompt template version
+ * @param {Object} body - Request body ({ name, body, description })
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validatePromptTemplatePayload(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+
+  const errors = [];
+
+  if (
+    typeof body.name !== "string" ||
+    !parseTemplateRef(body.name) ||
+    body.name.includes("@")
+  ) {
+    errors.push(
+      "name must be 1-64 letters, digits, dashes or underscores, without a version"
+    );
+  }
+
+  if (typeof body.body !== "string" || !body.body.trim()) {
+    errors.push("body must be a non-empty string");
+  } else {
+    const missing = findMissingVariables(body.body);
+    if (missing.length > 0) {
+      errors.push(`body must use {{${missing.join("}}, {{")}}}`);
+    }
+  }
+
+  if (body.description !== undefined && typeof body.description !== "string") {
+    errors.push("description must be a string");
+  }
+
+  return errors;
+}
+
+/**
+ * Validate retrieval filters ({ source, category, author, dateFrom, dateTo })
+ * @param {Object} filters - Filters from a request body
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateSearchFilters(filters) {
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    return ["filters must be an object"];
+  }
+
+  const errors = [];
+  const allowed = ["source", "category", "author", "dateFrom", "dateTo"];
+
+  for (const key of Object.keys(filters)) {
+    if (!allowed.includes(key)) {
+      errors.push(`filters.${key} is not supported`);
+    }
+  }
+
+  for (const field of ["source", "category", "author"]) {
+    const value = filters[field];
+    const valid =
+      value === undefined ||
+      typeof value === "string" ||
+      (Array.isArray(value) && value.every((v) => typeof v === "string"));
+
+    if (!valid) {
+      errors.push(`filters.${field} must be a string or an array of strings`);
+    }
+  }
+
+  for (const field of ["dateFrom", "dateTo"]) {
+    if (
+      filters[field] !== undefined &&
+      Number.isNaN(Date.parse(filters[field]))
+    ) {
+      errors.push(`filters.${field} must be a valid date`);
+    }
+  }
+
+  if (
+    filters.dateFrom &&
+    filters.dateTo &&
+    Date.parse(filters.dateFrom) > Date.parse(filters.dateTo)
+  ) {
+    errors.push("filters.dateFrom must not be after filters.dateTo");
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the fields shared by feed create and update payloads
+ * @param {Object} body - Request body
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateFeedFields(body) {
+  const errors = [];
+
+  if (body.url !== undefined && !isHttpUrl(body.url)) {
+    errors.push("url must be an http(s) URL");
+  }
+
+  if (body.name !== undefined && typeof body.name !== "string") {
+    errors.push("name must be a string");
+  }
+
+  if (
+    body.pollIntervalMinutes !== undefined &&
+    (!Number.isInteger(body.pollIntervalMinutes) ||
+      body.pollIntervalMinutes < 1)
+  ) {
+    errors.push("pollIntervalMinutes must be a positive integer");
+  }
+
+  if (body.enabled !== undefined && typeof body.enabled !== "boolean") {
+    errors.push("enabled must be a boolean");
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the payload for registering a feed
+ * @param {Object} body - Request body ({ url, name, pollIntervalMinutes, enabled })
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateFeedCreatePayload(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+
+  if (body.url === undefined) {
+    return ["url is required"];
+  }
+
+  return validateFeedFields(body);
+}
+
+/**
+ * Validate the payload for updating a feed
+ * @param {Object} body - Request body with any of the feed fields
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+function validateFeedUpdatePayload(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+
+  return validateFeedFields(body);
+}
+
+/**
+ * Check that a value is an absolute http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a valid URL
+ */
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  validateBody,
+  validateIngestPayload,
+  validateMessagePayload,
+  validateRegeneratePayload,
+  validateSessionPayload,
+  validateSessionUpdatePayload,
+  validateSearchFilters,
+  validatePromptTemplatePayload,
+  validateFeedCreatePayload,
+  validateFeedUpdatePayload,
+};
@@ -0,0 +1,15 @@
+// backend/src/migrations/001-add-session-owner.js
+const { DataTypes } = require("sequelize");
+const { addColumnIfMissing } = require("./helpers");
+
+/**
+ * Sessions record the user who owns them; older sessions have no owner
+ */
+module.exports = {
+  async up(queryInterface) {
+    await addColumnIfMissing(queryInterface, "chat_sessions", "user_id", {
+      type: DataTypes.STRING,
+      allowNull: true,
+    });
+  },
+};
@@ -0,0 +1,16 @@
+// backend/src/migrations/002-add-message-citations.js
+const { DataTypes } = require("sequelize");
+const { addColumnIfMissing } = require("./helpers");
+
+/**
+ * Answers store the articles their [n] markers cite
+ */
+module.exports = {
+  async up(queryInterface) {
+    await addColumnIfMissing(queryInterface, "chat_messages", "citations", {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    });
+  },
+};
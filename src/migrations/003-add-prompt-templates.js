@@ -0,0 +1,17 @@
+// backend/src/migrations/003-add-prompt-templates.js
+const { DataTypes } = require("sequelize");
+const { addColumnIfMissing } = require("./helpers");
+
+/**
+ * Sessions pin a prompt template and answers record the one they used
+ */
+module.exports = {
+  async up(queryInterface) {
+    for (const table of ["chat_sessions", "chat_messages"]) {
+      await addColumnIfMissing(queryInterface, table, "prompt_template", {
+        type: DataTypes.STRING(80),
+        allowNull: true,
+      });
+    }
+  },
+};
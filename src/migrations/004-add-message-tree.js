@@ -0,0 +1,28 @@
+// backend/src/migrations/004-add-message-tree.js
+const { DataTypes } = require("sequelize");
+const { addColumnIfMissing } = require("./helpers");
+
+/**
+ * Messages get public IDs and parents so sessions can branch; older
+ * messages keep null and are linked in stored order
+ */
+module.exports = {
+  async up(queryInterface) {
+    await addColumnIfMissing(
+      queryInterface,
+      "chat_sessions",
+      "head_message_id",
+      {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      }
+    );
+
+    for (const column of ["message_id", "parent_id"]) {
+      await addColumnIfMissing(queryInterface, "chat_messages", column, {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      });
+    }
+  },
+};
@@ -0,0 +1,25 @@
+// backend/src/migrations/helpers.js
+
+/**
+ * Add a column to an existing table unless it is already there
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {Object} attributes - Column definition
+ */
+async function addColumnIfMissing(queryInterface, table, column, attributes) {
+  // A missing table is created by sync() with the column included
+  if (!(await queryInterface.tableExists(table))) {
+    return;
+  }
+
+  const existing = await queryInterface.describeTable(table);
+  if (!existing[column]) {
+    console.log(`Adding column ${table}.${column}`);
+    await queryInterface.addColumn(table, column, attributes);
+  }
+}
+
+module.exports = {
+  addColumnIfMissing,
+};
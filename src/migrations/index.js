@@ -0,0 +1,29 @@
+// backend/src/migrations/index.js
+
+/**
+ * Schema changes to tables created by earlier versions, oldest first
+ *
+ * sync() only creates missing tables, so every column added to an existing
+ * model needs a migration here. They run before sync() on each start and must
+ * be safe to repeat; on a new database there is no table to change yet.
+ */
+const MIGRATIONS = [
+  require("./001-add-session-owner"),
+  require("./002-add-message-citations"),
+  require("./003-add-prompt-templates"),
+  require("./004-add-message-tree"),
+];
+
+/**
+ * Apply every migration
+ * @param {Object} queryInterface - Sequelize query interface
+ */
+async function runMigrations(queryInterface) {
+  for (const migration of MIGRATIONS) {
+    await migration.up(queryInterface);
+  }
+}
+
+module.exports = {
+  runMigrations,
+};
@@ -0,0 +1,115 @@
+// backend/src/models/chatSession.js
+const { DataTypes } = require("sequelize");
+
+/**
+ * Define the chat session and chat message models on a Sequelize instance
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} - { ChatSession, ChatMessage }
+ */
+function defineChatModels(sequelize) {
+  const ChatSession = sequelize.define(
+    "ChatSession",
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      lastMessageAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      promptTemplate: {
+        type: DataTypes.STRING(80),
+        allowNull: true,
+      },
+      // Last message of the active branch
+      headMessageId: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "chat_sessions",
+      underscored: true,
+      indexes: [{ fields: ["user_id"] }],
+    }
+  );
+
+  const ChatMessage = sequelize.define(
+    "ChatMessage",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      // Public message ID; null for messages stored before IDs existed
+      messageId: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      // Message this one follows in its branch
+      parentId: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      role: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      sources: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      citations: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      promptTemplate: {
+        type: DataTypes.STRING(80),
+        allowNull: true,
+      },
+      timestamp: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "chat_messages",
+      underscored: true,
+      indexes: [{ fields: ["session_id", "timestamp"] }],
+    }
+  );
+
+  ChatSession.hasMany(ChatMessage, {
+    as: "messages",
+    foreignKey: "sessionId",
+    onDelete: "CASCADE",
+  });
+  ChatMessage.belongsTo(ChatSession, { foreignKey: "sessionId" });
+
+  return { ChatSession, ChatMessage };
+}
+
+module.exports = {
+  defineChatModels,
+};
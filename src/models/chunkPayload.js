@@ -0,0 +1,159 @@
+// backend/src/models/chunkPayload.js
+
+/**
+ * Canonical payload stored with every chunk in the vector store. Ingestion
+ * builds it with `buildChunkPayload` and retrieval reads it back with
+ * `toChunkMetadata`, so both sides agree on field names.
+ *
+ * @typedef {Object} ChunkPayload
+ * @property {string} articleId - Stable article identity (guid, link or id)
+ * @property {number} chunkIndex - Position of the chunk within the article
+ * @property {number} totalChunks - Number of chunks the article was split into
+ * @property {number} startOffset - First character of the chunk in the article content
+ * @property {number} endOffset - Character after the last one of the chunk
+ * @property {string|null} title - Article title
+ * @property {string|null} url - Article URL
+ * @property {string} source - Publisher or feed name
+ * @property {string|null} author - Author name(s)
+ * @property {string|Array<string>|null} category - Article category or categories
+ * @property {string|null} date - Publication date (ISO 8601 when parseable)
+ * @property {number|null} publishedAt - Publication time in epoch seconds, for range filters
+ * @property {string|null} leadImage - Lead image URL
+ * @property {string|null} contentHash - Hash of the article version the chunk came from
+ * @property {ChunkFacets} facets - Normalized source/author/category for filtering
+ */
+
+/**
+ * Lower-cased copies of the filterable fields, so filters match regardless of
+ * case and co-authors or extra categories can be matched one by one
+ *
+ * @typedef {Object} ChunkFacets
+ * @property {string} source - Normalized source name
+ * @property {Array<string>} author - Normalized author names
+ * @property {Array<string>} category - Normalized categories
+ */
+
+/**
+ * Build the payload for one chunk of an article
+ * @param {Object} article - Article ({ id, title, link, source, author, pubDate, category, metadata })
+ * @param {Object} chunk - { index, total, startOffset, endOffset }
+ * @returns {ChunkPayload} - Chunk payload, without the chunk text
+ */
+function buildChunkPayload(article, chunk) {
+  const metadata = article.metadata || {};
+  const publishedAt = toTimestamp(article.pubDate);
+  const source = article.source || "unknown";
+  const category = article.category || metadata.category || null;
+
+  return {
+    articleId: article.id,
+    chunkIndex: chunk.index,
+    totalChunks: chunk.total,
+    startOffset: chunk.startOffset,
+    endOffset: chunk.endOffset,
+    title: article.title || null,
+    url: article.link || article.url || metadata.canonicalUrl || null,
+    source,
+    author: article.author || null,
+    category,
+    date:
+      publishedAt !== null
+        ? new Date(publishedAt * 1000).toISOString()
+        : article.pubDate || null,
+    publishedAt,
+    leadImage: metadata.leadImage || null,
+    contentHash: metadata.contentHash || null,
+    facets: {
+      source: normalizeFacet(source),
+      author: splitAuthors(article.author).map(normalizeFacet),
+      category: []
+        .concat(category || [])
+        .map(normalizeFacet)
+        .filter(Boolean),
+    },
+  };
+}
+
+/**
+ * Read the client-facing metadata of a stored chunk
+ * @param {Object} payload - Stored point payload
+ * @returns {Object} - Chunk metadata (ChunkPayload without internal fields)
+ */
+function toChunkMetadata(payload) {
+  return {
+    articleId: payload.articleId,
+    chunkIndex: payload.chunkIndex,
+    totalChunks: payload.totalChunks,
+    startOffset: payload.startOffset,
+    endOffset: payload.endOffset,
+    title: payload.title,
+    url: payload.url,
+    source: payload.source,
+    author: payload.author,
+    category: payload.category,
+    date: payload.date,
+    leadImage: payload.leadImage,
+  };
+}
+
+/**
+ * Reference to a chunk as returned in chat sources and citations, with
+ * enough to deep-link to the passage
+ * @param {Object} metadata - Chunk metadata from `toChunkMetadata`
+ * @returns {Object} - { articleId, chunkIndex, startOffset, endOffset, title, url, source, author, date }
+ */
+function toSourceReference(metadata) {
+  return {
+    articleId: metadata.articleId,
+    chunkIndex: metadata.chunkIndex,
+    startOffset: metadata.startOffset,
+    endOffset: metadata.endOffset,
+    title: metadata.title,
+    url: metadata.url,
+    source: metadata.source,
+    author: metadata.author,
+    date: metadata.date,
+  };
+}
+
+/**
+ * Normalize a source, author or category for case-insensitive matching
+ * @param {string} value - Raw value
+ * @returns {string} - Trimmed, lower-cased value with single spaces
+ */
+function normalizeFacet(value) {
+  return String(value || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Split a byline into author names ("A, B and C" -> ["A", "B", "C"])
+ * @param {string} author - Author name(s)
+ * @returns {Array<string>} - Author names
+ */
+function splitAuthors(author) {
+  return String(author || "")
+    .replace(/^by\s+/i, "")
+    .split(/\s*(?:,|&|\band\b)\s*/i)
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Convert a date string to seconds since the epoch
+ * @param {string} date - Date string
+ * @returns {number|null} - Unix timestamp, or null when missing/unparseable
+ */
+function toTimestamp(date) {
+  const time = Date.parse(date);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+module.exports = {
+  buildChunkPayload,
+  toChunkMetadata,
+  toSourceReference,
+  normalizeFacet,
+};
@@ -0,0 +1,47 @@
+// backend/src/models/promptTemplate.js
+const { DataTypes } = require("sequelize");
+
+/**
+ * Define the prompt template model on a Sequelize instance
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} - { PromptTemplate }
+ */
+function definePromptTemplateModel(sequelize) {
+  const PromptTemplate = sequelize.define(
+    "PromptTemplate",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "prompt_templates",
+      underscored: true,
+      indexes: [{ unique: true, fields: ["name", "version"] }],
+    }
+  );
+
+  return { PromptTemplate };
+}
+
+module.exports = {
+  definePromptTemplateModel,
+};
@@ -0,0 +1,185 @@
+// backend/src/rag/citations.js
+const { tokenize } = require("../utils/textProcessing");
+const { toSourceReference } = require("../models/chunkPayload");
+
+// A run of markers such as [1], [2, 3] or [1][4], with its leading spaces so
+// a stripped run leaves no gap
+const MARKER_PATTERN = /[ \t]*((?:\[\d+(?:\s*,\s*\d+)*\])+)/g;
+
+// What may still become a marker run at the end of a streamed buffer: spaces,
+// complete markers and an unfinished "[1, "
+const TRAILING_MARKER_PATTERN =
+  /[ \t]*(?:\[\d+(?:\s*,\s*\d+)*\])*(?:\[[\d,\s]*)?$/;
+
+const MAX_SNIPPET_LENGTH = 300;
+
+/**
+ * Format retrieved chunks as numbered context the model can cite with [n]
+ * @param {Array} docs - Retrieved documents ({ text, metadata })
+ * @returns {string} - Context block, one numbered entry per document
+ */
+function formatNumberedContext(docs) {
+  return docs
+    .map((doc, i) => {
+      const { title, source, date, url } = doc.metadata;
+      const details = [
+        source && `Source: ${source}`,
+        date && `Published: ${date}`,
+        url && `URL: ${url}`,
+      ].filter(Boolean);
+
+      return [
+        `[${i + 1}] ${title || "Untitled"}`,
+        details.join(" | "),
+        doc.text,
+      ]
+        .filter(Boolean)
+        .join("\n");
+    })
+    .join("\n\n");
+}
+
+/**
+ * Validate the [n] markers in an answer against the numbered context
+ *
+ * Markers pointing at no document are stripped from the text; every cited
+ * document gets a citation with the passage that best supports it.
+ * @param {string} answer - Model output
+ * @param {Array} docs - Documents in the order they were numbered
+ * @returns {Object} - { content, citations } with citations ordered by marker
+ */
+function extractCitations(answer, docs) {
+  const content = stripInvalidMarkers(answer || "", docs.length);
+
+  // Collect the answer sentences citing each document
+  const citingText = new Map();
+  for (const sentence of splitSentences(content)) {
+    const plain = sentence.replace(MARKER_PATTERN, "");
+
+    for (const [, list] of sentence.matchAll(MARKER_PATTERN)) {
+      for (const n of parseMarkerList(list)) {
+        citingText.set(n, `${citingText.get(n) || ""} ${plain}`);
+      }
+    }
+  }
+
+  const citations = [...citingText.keys()]
+    .sort((a, b) => a - b)
+    .map((n) => {
+      const doc = docs[n - 1];
+
+      return {
+        marker: n,
+        ...toSourceReference(doc.metadata),
+        snippet: findSnippet(doc.text, citingText.get(n)),
+      };
+    });
+
+  return { content, citations };
+}
+
+/**
+ * Removes markers pointing at no document from a streamed answer as it
+ * arrives, holding back a possibly unfinished marker until the next chunk,
+ * so clients never display text that `extractCitations` would strip
+ */
+class CitationStreamFilter {
+  /**
+   * @param {number} documentCount - Number of documents in the numbered context
+   */
+  constructor(documentCount) {
+    this.documentCount = documentCount;
+    this.pending = "";
+  }
+
+  /**
+   * Add a streamed chunk
+   * @param {string} chunk - Text from the model
+   * @returns {string} - Cleaned text that is safe to send, possibly empty
+   */
+  push(chunk) {
+    const text = this.pending + chunk;
+    const held = text.search(TRAILING_MARKER_PATTERN);
+
+    this.pending = text.slice(held);
+    return stripInvalidMarkers(text.slice(0, held), this.documentCount);
+  }
+
+  /**
+   * End the stream
+   * @returns {string} - Cleaned text still held back
+   */
+  flush() {
+    const rest = stripInvalidMarkers(this.pending, this.documentCount);
+    this.pending = "";
+    return rest;
+  }
+}
+
+/**
+ * Strip markers pointing at no document and merge the rest of each run
+ * ("[1][9]" with 3 documents -> "[1]")
+ * @param {string} text - Answer text
+ * @param {number} documentCount - Number of documents in the numbered context
+ * @returns {string} - Text with only valid markers
+ */
+function stripInvalidMarkers(text, documentCount) {
+  return text.replace(MARKER_PATTERN, (match, list) => {
+    const valid = parseMarkerList(list).filter(
+      (n) => n >= 1 && n <= documentCount
+    );
+
+    if (valid.length === 0) {
+      return "";
+    }
+
+    const leading = match.slice(0, match.indexOf("["));
+    return `${leading}[${[...new Set(valid)].join(", ")}]`;
+  });
+}
+
+/**
+ * Pick the sentence of a chunk that shares the most words with the citing text
+ * @param {string} text - Chunk text
+ * @param {string} citingText - Answer sentences citing the chunk
+ * @returns {string} - Quoted passage, at most MAX_SNIPPET_LENGTH characters
+ */
+function findSnippet(text, citingText) {
+  const sentences = splitSentences(text || "");
+  const wanted = new Set(tokenize(citingText));
+
+  let best = sentences[0] || "";
+  let bestOverlap = 0;
+  for (const sentence of sentences) {
+    const overlap = new Set(tokenize(sentence).filter((t) => wanted.has(t)))
+      .size;
+
+    if (overlap > bestOverlap) {
+      best = sentence;
+      bestOverlap = overlap;
+    }
+  }
+
+  return best.length > MAX_SNIPPET_LENGTH
+    ? `${best.slice(0, MAX_SNIPPET_LENGTH).trim()}...`
+    : best;
+}
+
+function parseMarkerList(list) {
+  return list.match(/\d+/g).map((n) => parseInt(n, 10));
+}
+
+function splitSentences(text) {
+  // Markers written after the full stop ("... cut rates. [1]") stay with
+  // the sentence they follow
+  return text
+    .split(/(?<=[.!?](?:\s*\[[\d,\s]+\])*)\s+(?!\[\d)|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  formatNumberedContext,
+  extractCitations,
+  CitationStreamFilter,
+};
@@ -1,32 +1,223 @@
 // backend/src/rag/collector.js
 const axios = require("axios");
-const cheerio = require("cheerio");
 const Parser = require("rss-parser");
+const { extractArticle, htmlToText } = require("./extractor");
 const parser = new Parser();
 
+// A hung or oversized response must not stall the poll that requested it
+const FETCH_TIMEOUT = 60 * 1000;
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Fetch a URL, sending validators from a previous fetch so unchanged
+ * resources come back as 304 Not Modified
+ * @param {string} url - URL to fetch
+ * @param {Object} state - Previous fetch state ({ etag, lastModified })
+ * @returns {Promise<Object>} - { notModified, body, etag, lastModified }
+ */
+async function conditionalGet(url, state = {}) {
+  const headers = {};
+  if (state.etag) {
+    headers["If-None-Match"] = state.etag;
+  }
+  if (state.lastModified) {
+    headers["If-Modified-Since"] = state.lastModified;
+  }
+
+  const response = await axios.get(url, {
+    headers,
+    responseType: "text",
+    timeout: FETCH_TIMEOUT,
+    maxContentLength: MAX_RESPONSE_BYTES,
+    validateStatus: (status) =>
+      (status >= 200 && status < 300) || status === 304,
+  });
+
+  return {
+    notModified: response.status === 304,
+    body: response.data,
+    // Keep the old validators if the server didn't send new ones
+    etag: response.headers.etag || state.etag || null,
+    lastModified:
+      response.headers["last-modified"] || state.lastModified || null,
+  };
+}
+
+/**
+ * Identity of a feed item
+ * @param {Object} item - rss-parser item
+ * @returns {string} - guid, id or link
+ */
+function getItemGuid(item) {
+  return item.guid || item.id || item.link;
+}
+
+/**
+ * Name a feed's publisher the way users filter by it
+ * ("CNN.com - RSS Channel - App Tech Section" -> "CNN")
+ * @param {string} title - Feed title
+ * @param {string} url - Feed URL, used when the feed has no title
+ * @returns {string} - Source name
+ */
+function getSourceName(title, url) {
+  const name = (title || "")
+    .split(/\s+[-|:\u2013\u2014]\s+/)[0]
+    .replace(/\.(com|net|org|co\.uk|co)$/i, "")
+    .trim();
+
+  return name || new URL(url).hostname.replace(/^www\./, "");
+}
+
+/**
+ * Read an item's categories; rss-parser gives strings, or `{ _: text }` for
+ * <category> elements with attributes
+ * @param {Object} item - rss-parser item
+ * @returns {Array<string>|null} - Category names, or null when there are none
+ */
+function getItemCategories(item) {
+  const categories = (item.categories || [])
+    .map((category) =>
+      typeof category === "string" ? category : category && category._
+    )
+    .filter((category) => category && category.trim())
+    .map((category) => category.trim());
+
+  return categories.length > 0 ? categories : null;
+}
+
+/**
+ * Keep only the items published since the previous poll
+ *
+ * Items with a date are compared against the newest date seen last time;
+ * undated items count as new when they appear above the last seen guid.
+ * @param {Array} items - Feed items in feed order
+ * @param {Object} state - Previous fetch state ({ lastSeenGuid, lastPubDate })
+ * @returns {Array} - New items
+ */
+function selectNewItems(items, state = {}) {
+  if (!state.lastSeenGuid && !state.lastPubDate) {
+    return items;
+  }
+
+  const lastPubTime = state.lastPubDate ? Date.parse(state.lastPubDate) : NaN;
+  const seenIndex = items.findIndex(
+    (item) => getItemGuid(item) === state.lastSeenGuid
+  );
+
+  return items.filter((item, index) => {
+    const published = Date.parse(item.isoDate || item.pubDate);
+
+    if (!Number.isNaN(published) && !Number.isNaN(lastPubTime)) {
+      return published > lastPubTime;
+    }
+
+    return seenIndex === -1 || index < seenIndex;
+  });
+}
+
+/**
+ * Find the newest item of a feed to remember for the next poll
+ * @param {Array} items - Feed items in feed order
+ * @returns {Object} - { lastSeenGuid, lastPubDate }
+ */
+function getNewestItemState(items) {
+  let newest = items[0];
+  let newestTime = NaN;
+
+  for (const item of items) {
+    const published = Date.parse(item.isoDate || item.pubDate);
+    if (
+      !Number.isNaN(published) &&
+      (Number.isNaN(newestTime) || published > newestTime)
+    ) {
+      newest = item;
+      newestTime = published;
+    }
+  }
+
+  return {
+    lastSeenGuid: newest ? getItemGuid(newest) : null,
+    lastPubDate: Number.isNaN(newestTime)
+      ? null
+      : new Date(newestTime).toISOString(),
+  };
+}
+
+/**
+ * Record a URL's new fetch state, or hand it to `onFetchState` when the
+ * caller saves it only once the collected articles are safely queued
+ * @param {Object} options - { fetchState, onFetchState }
+ * @param {string} url - Fetched URL
+ * @param {Object} state - State to remember
+ */
+async function saveFetchState(options, url, state) {
+  if (options.onFetchState) {
+    options.onFetchState(url, state);
+  } else if (options.fetchState) {
+    await options.fetchState.set(url, state);
+  }
+}
+
 /**
  * Collects news articles from RSS feeds
+ *
+ * With a `fetchState` store, feeds are requested conditionally and only
+ * items newer than the previous poll are returned.
  * @param {Array} rssSources - List of RSS feed URLs
+ * @param {Object} options - { onError, fetchState, onFetchState }
+ * @param {Function} options.onError - Optional callback for failed feeds (source, error)
+ * @param {Object} options.fetchState - Optional store with get(url)/set(url, state)
+ * @param {Function} options.onFetchState - Optional callback (url, state) that
+ * receives new fetch state instead of it being saved to `fetchState`
  * @returns {Array} - List of article objects
  */
-async function collectFromRss(rssSources) {
+async function collectFromRss(rssSources, options = {}) {
+  const { onError, fetchState } = options;
   const articles = [];
 
   for (const source of rssSources) {
     try {
-      const feed = await parser.parseURL(source);
+      const state = fetchState ? (await fetchState.get(source)) || {} : {};
+      const response = await conditionalGet(source, state);
 
-      for (const item of feed.items) {
+      if (response.notModified) {
+        console.log(`RSS ${source} not modified since last poll`);
+        continue;
+      }
+
+      const feed = await parser.parseString(response.body);
+      const items = selectNewItems(feed.items, state);
+
+      for (const item of items) {
         articles.push({
           title: item.title,
-          content: item.content || item.contentSnippet,
+          content: htmlToText(item.content) || item.contentSnippet,
           link: item.link,
+          guid: getItemGuid(item),
           pubDate: item.pubDate,
-          source: feed.title || source,
+          source: getSourceName(feed.title, source),
+          author: item.creator || item.author || null,
+          category: getItemCategories(item),
+        });
+      }
+
+      if (fetchState) {
+        const newest =
+          feed.items.length > 0 ? getNewestItemState(feed.items) : {};
+
+        await saveFetchState(options, source, {
+          etag: response.etag,
+          lastModified: response.lastModified,
+          lastSeenGuid: newest.lastSeenGuid || state.lastSeenGuid || null,
+          lastPubDate: newest.lastPubDate || state.lastPubDate || null,
+          fetchedAt: new Date().toISOString(),
         });
       }
     } catch (error) {
       console.error(`Error collecting from RSS ${source}:`, error);
+      if (onError) {
+        onError(source, error);
+      }
     }
   }
 
@@ -35,31 +226,59 @@ async function collectFromRss(rssSources) {
 
 /**
  * Scrapes article content from URLs
+ *
+ * With a `fetchState` store, pages are requested conditionally and
+ * unchanged pages are skipped.
  * @param {Array} urls - List of article URLs to scrape
+ * @param {Object} options - { onError, fetchState, onFetchState }
+ * @param {Function} options.onError - Optional callback for failed URLs (url, error)
+ * @param {Object} options.fetchState - Optional store with get(url)/set(url, state)
+ * @param {Function} options.onFetchState - Optional callback (url, state) that
+ * receives new fetch state instead of it being saved to `fetchState`
  * @returns {Array} - List of article objects
  */
-async function scrapeArticles(urls) {
+async function scrapeArticles(urls, options = {}) {
+  const { onError, fetchState } = options;
   const articles = [];
 
   for (const url of urls) {
     try {
-      const response = await axios.get(url);
-      const $ = cheerio.load(response.data);
+      const state = fetchState ? (await fetchState.get(url)) || {} : {};
+      const response = await conditionalGet(url, state);
 
-      // This is a simplified scraper - you'll need to adapt it based on target sites
-      const title = $("h1").first().text();
-      const content =
-        $("article").text() || $("main").text() || $("body").text();
+      if (response.notModified) {
+        continue;
+      }
+
+      const extracted = extractArticle(response.body, { url });
 
       articles.push({
-        title,
-        content,
-        link: url,
-        pubDate: new Date().toISOString(),
-        source: new URL(url).hostname,
+        title: extracted.title,
+        content: extracted.content,
+        link: extracted.canonicalUrl || url,
+        author: extracted.author,
+        // Left empty rather than "now", which would change the content hash
+        // on every poll and re-ingest the page
+        pubDate: extracted.publishedDate || null,
+        source: extracted.siteName || new URL(url).hostname,
+        metadata: {
+          leadImage: extracted.leadImage,
+          canonicalUrl: extracted.canonicalUrl,
+        },
       });
+
+      if (fetchState) {
+        await saveFetchState(options, url, {
+          etag: response.etag,
+          lastModified: response.lastModified,
+          fetchedAt: new Date().toISOString(),
+        });
+      }
     } catch (error) {
       console.error(`Error scraping ${url}:`, error);
+      if (onError) {
+        onError(url, error);
+      }
     }
   }
 
@@ -68,12 +287,28 @@ async function scrapeArticles(urls) {
 
 /**
  * Main function to collect articles from different sources
+ * @param {Object} config - { rssSources, articleUrls, onError, fetchState, onFetchState }
+ * @returns {Array} - List of article objects
  */
 async function collectArticles(config) {
-  const { rssSources = [], articleUrls = [] } = config;
+  const {
+    rssSources = [],
+    articleUrls = [],
+    onError,
+    fetchState,
+    onFetchState,
+  } = config;
 
-  const rssArticles = await collectFromRss(rssSources);
-  const scrapedArticles = await scrapeArticles(articleUrls);
+  const rssArticles = await collectFromRss(rssSources, {
+    onError,
+    fetchState,
+    onFetchState,
+  });
+  const scrapedArticles = await scrapeArticles(articleUrls, {
+    onError,
+    fetchState,
+    onFetchState,
+  });
 
   return [...rssArticles, ...scrapedArticles];
 }
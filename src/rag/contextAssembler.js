@@ -0,0 +1,182 @@
+// backend/src/rag/contextAssembler.js
+const { estimateTokens } = require("../utils/textProcessing");
+const { formatNumberedContext } = require("./citations");
+
+/**
+ * Fits retrieved chunks into the prompt's context budget
+ *
+ * Adjacent or overlapping chunks of the same article are merged into one
+ * passage, then passages are taken in relevance order until the token budget
+ * is spent; the last one that doesn't fit is trimmed at a sentence boundary.
+ */
+class ContextAssembler {
+  /**
+   * @param {Object} config - Assembler configuration
+   * @param {number} config.tokenBudget - Tokens available for context (optional)
+   * @param {number} config.minPassageTokens - Smallest trimmed passage worth including (optional)
+   */
+  constructor(config = {}) {
+    this.tokenBudget = config.tokenBudget || 3000;
+    this.minPassageTokens = config.minPassageTokens || 100;
+  }
+
+  /**
+   * Select the passages to send to the LLM
+   * @param {Array} docs - Retrieved documents, most relevant first
+   * @param {Object} options - { tokenBudget } to override the default (optional)
+   * @returns {Object} - { documents, usedChunks, totalTokens }, where documents
+   * are the passages to number in the prompt and usedChunks reports which
+   * stored chunks (and which part of each) made it in
+   */
+  assemble(docs, options = {}) {
+    const tokenBudget = options.tokenBudget || this.tokenBudget;
+    const documents = [];
+    let totalTokens = 0;
+
+    for (const passage of mergeAdjacentChunks(docs)) {
+      const remaining = tokenBudget - totalTokens;
+      const tokens = countContextTokens(passage);
+
+      if (tokens <= remaining) {
+        documents.push(passage);
+        totalTokens += tokens;
+        continue;
+      }
+
+      const trimmed = trimPassage(passage, remaining);
+      if (trimmed && countContextTokens(trimmed) >= this.minPassageTokens) {
+        documents.push(trimmed);
+        totalTokens += countContextTokens(trimmed);
+      }
+    }
+
+    return {
+      documents,
+      usedChunks: documents.map((doc) => ({
+        articleId: doc.metadata.articleId,
+        chunkIndexes: doc.metadata.chunkIndexes,
+        title: doc.metadata.title,
+        startOffset: doc.metadata.startOffset,
+        endOffset: doc.metadata.endOffset,
+        tokens: countContextTokens(doc),
+        truncated: Boolean(doc.truncated),
+      })),
+      totalTokens,
+    };
+  }
+}
+
+/**
+ * Merge chunks of the same article that touch or overlap, keeping the
+ * position of the most relevant one
+ * @param {Array} docs - Retrieved documents, most relevant first
+ * @returns {Array} - Passages with `metadata.chunkIndexes`
+ */
+function mergeAdjacentChunks(docs) {
+  const passages = docs.map((doc) => ({
+    ...doc,
+    metadata: { ...doc.metadata, chunkIndexes: [doc.metadata.chunkIndex] },
+  }));
+
+  for (let i = 0; i < passages.length; i++) {
+    for (let j = i + 1; j < passages.length; j++) {
+      if (canMerge(passages[i], passages[j])) {
+        passages[i] = mergePassages(passages[i], passages[j]);
+        passages.splice(j, 1);
+        j = i; // The grown passage may now reach chunks it skipped before
+      }
+    }
+  }
+
+  return passages;
+}
+
+function canMerge(a, b) {
+  const ma = a.metadata;
+  const mb = b.metadata;
+
+  if (
+    ma.articleId === undefined ||
+    ma.articleId !== mb.articleId ||
+    typeof ma.startOffset !== "number" ||
+    typeof mb.startOffset !== "number"
+  ) {
+    return false;
+  }
+
+  return mb.startOffset <= ma.endOffset && ma.startOffset <= mb.endOffset;
+}
+
+function mergePassages(a, b) {
+  const [first, second] =
+    a.metadata.startOffset <= b.metadata.startOffset ? [a, b] : [b, a];
+  const firstEnd = first.metadata.endOffset;
+
+  // Drop the overlap; skip the second entirely if it lies inside the first
+  const text =
+    second.metadata.endOffset <= firstEnd
+      ? first.text
+      : first.text + second.text.slice(firstEnd - second.metadata.startOffset);
+
+  return {
+    ...a,
+    text,
+    score: Math.max(a.score || 0, b.score || 0),
+    metadata: {
+      ...a.metadata,
+      chunkIndex: Math.min(a.metadata.chunkIndex, b.metadata.chunkIndex),
+      chunkIndexes: [...a.metadata.chunkIndexes, ...b.metadata.chunkIndexes]
+        .filter((index) => index !== undefined)
+        .sort((x, y) => x - y),
+      startOffset: first.metadata.startOffset,
+      endOffset: Math.max(firstEnd, second.metadata.endOffset),
+    },
+  };
+}
+
+/**
+ * Cut a passage down to a token budget, ending on a sentence when possible
+ * @param {Object} passage - Passage to trim
+ * @param {number} tokenBudget - Tokens available, including the passage header
+ * @returns {Object|null} - Trimmed passage, or null if not even the header fits
+ */
+function trimPassage(passage, tokenBudget) {
+  const headerTokens = countContextTokens({ ...passage, text: "" });
+  const maxChars = (tokenBudget - headerTokens) * 4;
+
+  if (maxChars <= 0) {
+    return null;
+  }
+
+  let cut = passage.text.slice(0, maxChars);
+  const sentenceEnd = Math.max(
+    cut.lastIndexOf(". "),
+    cut.lastIndexOf("\n"),
+    cut.lastIndexOf("! "),
+    cut.lastIndexOf("? ")
+  );
+  if (sentenceEnd > maxChars / 2) {
+    cut = cut.slice(0, sentenceEnd + 1);
+  }
+
+  return {
+    ...passage,
+    text: cut.trimEnd(),
+    truncated: true,
+    metadata: {
+      ...passage.metadata,
+      endOffset:
+        typeof passage.metadata.startOffset === "number"
+          ? passage.metadata.startOffset + cut.trimEnd().length
+          : passage.metadata.endOffset,
+    },
+  };
+}
+
+function countContextTokens(doc) {
+  return estimateTokens(formatNumberedContext([doc]));
+}
+
+module.exports = {
+  ContextAssembler,
+};
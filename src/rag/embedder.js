@@ -0,0 +1,60 @@
+// backend/src/rag/embedder.js
+const {
+  JinaEmbeddingService,
+  LocalEmbeddingService,
+  OpenAICompatibleEmbeddingService,
+} = require("../services/embeddingService");
+
+/**
+ * Registered embedding providers, keyed by name
+ * Each factory receives the provider's config and returns an embedding service
+ * exposing `dimension`, `initialize()`, `embedText()` and `embedBatch()`
+ */
+const providers = new Map([
+  ["jina", (config) => new JinaEmbeddingService(config)],
+  ["local", (config) => new LocalEmbeddingService(config)],
+  ["openai", (config) => new OpenAICompatibleEmbeddingService(config)],
+]);
+
+/**
+ * Register an additional embedding provider
+ * @param {string} name - Provider name used in configuration
+ * @param {Function} factory - Function that builds the service from its config
+ */
+function registerEmbeddingProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * List the names of all registered providers
+ * @returns {Array<string>} - Provider names
+ */
+function listEmbeddingProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Build the embedding service for a named provider
+ * @param {string} name - Provider name
+ * @param {Object} config - Provider configuration
+ * @returns {Object} - Embedding service
+ */
+function createEmbeddingService(name, config = {}) {
+  const factory = providers.get(name);
+
+  if (!factory) {
+    throw new Error(
+      `Unknown embedding provider "${name}" (available: ${listEmbeddingProviders().join(
+        ", "
+      )})`
+    );
+  }
+
+  return factory(config);
+}
+
+module.exports = {
+  createEmbeddingService,
+  registerEmbeddingProvider,
+  listEmbeddingProviders,
+};
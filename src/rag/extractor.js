@@ -0,0 +1,398 @@
+// backend/src/rag/extractor.js
+const cheerio = require("cheerio");
+
+// Elements that never hold article text
+const NOISE_SELECTOR =
+  "script, style, noscript, template, iframe, svg, canvas, form, button, input, select, nav, header, footer, aside, dialog";
+
+// Class/id fragments of page chrome: cookie banners, share bars, related links...
+const NOISE_PATTERN =
+  /cookie|consent|gdpr|banner|newsletter|subscribe|signup|share|social|comment|related|recommend|promo|advert|sponsor|sidebar|footer|masthead|navbar|menu|breadcrumb|popup|modal|paywall|outbrain|taboola/i;
+
+// Weight of a paragraph inside page chrome when picking the article body
+const NOISE_WEIGHT = 0.25;
+
+// Block elements whose text becomes one paragraph each
+const BLOCK_SELECTOR = "p, h2, h3, h4, h5, h6, li, blockquote, pre";
+
+// JSON-LD types that describe an article
+const ARTICLE_TYPES = [
+  "Article",
+  "NewsArticle",
+  "ReportageNewsArticle",
+  "AnalysisNewsArticle",
+  "BlogPosting",
+  "Report",
+];
+
+/**
+ * Extract the main article and its metadata from an HTML page
+ * @param {string} html - Page HTML
+ * @param {Object} options - { url } of the page, used to resolve relative links
+ * @returns {Object} - { title, content, description, author, publishedDate, leadImage, canonicalUrl, siteName }
+ */
+function extractArticle(html, options = {}) {
+  const $ = cheerio.load(html);
+  const baseUrl = options.url;
+
+  // Metadata first, before noise removal strips <header> and friends
+  const jsonLd = findArticleJsonLd($);
+  const meta = (names) => readMeta($, names);
+
+  const title =
+    meta(["og:title", "twitter:title"]) ||
+    jsonLd.headline ||
+    normalizeWhitespace($("h1").first().text()) ||
+    normalizeWhitespace($("title").first().text());
+
+  const author =
+    readJsonLdAuthor(jsonLd.author) ||
+    meta(["author", "article:author", "parsely-author", "sailthru.author"]) ||
+    normalizeWhitespace($("[rel='author']").first().text()) ||
+    null;
+
+  const publishedDate = toIsoDate(
+    jsonLd.datePublished ||
+      meta([
+        "article:published_time",
+        "og:published_time",
+        "pubdate",
+        "publish-date",
+        "date",
+        "dc.date",
+        "parsely-pub-date",
+      ]) ||
+      $("time[datetime]").first().attr("datetime")
+  );
+
+  const leadImage = resolveUrl(
+    meta(["og:image", "og:image:url", "twitter:image", "twitter:image:src"]) ||
+      readJsonLdImage(jsonLd.image),
+    baseUrl
+  );
+
+  const canonicalUrl =
+    resolveUrl(
+      $("link[rel='canonical']").attr("href") || meta(["og:url"]) || jsonLd.url,
+      baseUrl
+    ) ||
+    baseUrl ||
+    null;
+
+  const siteName =
+    meta(["og:site_name", "application-name"]) ||
+    (jsonLd.publisher && jsonLd.publisher.name) ||
+    null;
+
+  const description = meta(["og:description", "description"]) || null;
+
+  const content = extractMainText($, jsonLd.articleBody);
+
+  return {
+    title: title || null,
+    content,
+    description,
+    author,
+    publishedDate,
+    leadImage,
+    canonicalUrl,
+    siteName,
+  };
+}
+
+/**
+ * Convert an HTML fragment (e.g. RSS item content) to plain text, keeping
+ * paragraph breaks
+ * @param {string} html - HTML fragment
+ * @returns {string} - Plain text with paragraphs separated by blank lines
+ */
+function htmlToText(html) {
+  if (!html) {
+    return "";
+  }
+
+  const $ = cheerio.load(`<div id="__root">${html}</div>`);
+  $(NOISE_SELECTOR).remove();
+
+  return collectParagraphs($, $("#__root"));
+}
+
+/**
+ * Find the element holding the article body and return its text
+ * @param {Object} $ - Cheerio root
+ * @param {string} jsonLdBody - articleBody from JSON-LD, used when the markup has no usable body
+ * @returns {string} - Article text
+ */
+function extractMainText($, jsonLdBody) {
+  $(NOISE_SELECTOR).remove();
+
+  const candidate = findContentRoot($);
+  removeNoise($, candidate);
+  const text = collectParagraphs($, candidate);
+
+  // Some sites render the body client-side but ship it in JSON-LD
+  if (jsonLdBody && jsonLdBody.length > text.length) {
+    return normalizeParagraphs(jsonLdBody);
+  }
+
+  return text;
+}
+
+/**
+ * Pick the element most likely to be the article body by scoring the
+ * paragraphs each container holds
+ * @param {Object} $ - Cheerio root
+ * @returns {Object} - Cheerio selection
+ */
+function findContentRoot($) {
+  const explicit = $("[itemprop='articleBody']").first();
+  if (explicit.length > 0) {
+    return explicit;
+  }
+
+  const scores = new Map();
+  const addScore = (el, score) => {
+    if (el) {
+      scores.set(el, (scores.get(el) || 0) + score);
+    }
+  };
+
+  $("p").each((i, p) => {
+    const text = normalizeWhitespace($(p).text());
+    if (text.length < 25) {
+      return;
+    }
+
+    // Longer, comma-rich paragraphs look like prose rather than UI text
+    let score = 1 + text.split(",").length + Math.min(text.length / 100, 3);
+
+    // Chrome class names also show up on wrappers ("layout-with-sidebar"),
+    // so they lower a paragraph's weight rather than rule it out
+    if (
+      $(p)
+        .parents()
+        .addBack()
+        .is((j, el) => isNoiseElement($, el))
+    ) {
+      score *= NOISE_WEIGHT;
+    }
+
+    addScore(p.parent, score);
+    addScore(p.parent && p.parent.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  }
+
+  if (best) {
+    return $(best);
+  }
+
+  const fallback = $("article").first();
+  if (fallback.length > 0) {
+    return fallback;
+  }
+
+  return $("main").first().length > 0 ? $("main").first() : $("body");
+}
+
+/**
+ * Remove page chrome (share bars, related links...) inside the article body.
+ * Only descendants are removed, and not ones holding most of the text, so a
+ * wrapper with a chrome-like class can't take the article with it.
+ * @param {Object} $ - Cheerio root
+ * @param {Object} root - Article body selection
+ */
+function removeNoise($, root) {
+  const total = normalizeWhitespace(root.text()).length;
+
+  root.find("[class], [id]").each((i, el) => {
+    if (
+      isNoiseElement($, el) &&
+      normalizeWhitespace($(el).text()).length <= total / 2
+    ) {
+      $(el).remove();
+    }
+  });
+}
+
+/**
+ * Check whether an element's class or id marks it as page chrome
+ * @param {Object} $ - Cheerio root
+ * @param {Object} el - DOM element
+ * @returns {boolean} - Whether the element looks like chrome
+ */
+function isNoiseElement($, el) {
+  if (["html", "body", "article", "main"].includes(el.tagName)) {
+    return false;
+  }
+
+  const $el = $(el);
+  return NOISE_PATTERN.test(
+    `${$el.attr("class") || ""} ${$el.attr("id") || ""}`
+  );
+}
+
+/**
+ * Join the text of the block elements under a root into paragraphs
+ * @param {Object} $ - Cheerio root
+ * @param {Object} root - Cheerio selection to read from
+ * @returns {string} - Text with paragraphs separated by blank lines
+ */
+function collectParagraphs($, root) {
+  const paragraphs = [];
+
+  root.find(BLOCK_SELECTOR).each((i, el) => {
+    // Only leaf blocks, so an <li> wrapping a <p> isn't counted twice
+    if ($(el).find(BLOCK_SELECTOR).length > 0) {
+      return;
+    }
+
+    const text = normalizeWhitespace($(el).text());
+    if (text) {
+      paragraphs.push(text);
+    }
+  });
+
+  if (paragraphs.length === 0) {
+    return normalizeWhitespace(root.text());
+  }
+
+  return paragraphs.join("\n\n");
+}
+
+/**
+ * Find the JSON-LD object describing the article
+ * @param {Object} $ - Cheerio root
+ * @returns {Object} - The article object, or an empty object
+ */
+function findArticleJsonLd($) {
+  const candidates = [];
+
+  $("script[type='application/ld+json']").each((i, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const items = Array.isArray(data) ? data : [data];
+
+      for (const item of items) {
+        if (item && Array.isArray(item["@graph"])) {
+          candidates.push(...item["@graph"]);
+        } else if (item) {
+          candidates.push(item);
+        }
+      }
+    } catch (error) {
+      // Malformed JSON-LD is common; ignore it and fall back to meta tags
+    }
+  });
+
+  return (
+    candidates.find((item) =>
+      []
+        .concat(item["@type"] || [])
+        .some((type) => ARTICLE_TYPES.includes(type))
+    ) || {}
+  );
+}
+
+/**
+ * Read the first non-empty <meta> value among names/properties
+ * @param {Object} $ - Cheerio root
+ * @param {Array<string>} names - Meta name or property values, in priority order
+ * @returns {string|null} - Meta content
+ */
+function readMeta($, names) {
+  for (const name of names) {
+    const content = $(
+      `meta[property='${name}'], meta[name='${name}'], meta[itemprop='${name}']`
+    )
+      .first()
+      .attr("content");
+
+    if (content && content.trim()) {
+      return content.trim();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read author name(s) from a JSON-LD author value
+ * @param {*} author - String, Person object or array of either
+ * @returns {string|null} - Comma-separated author names
+ */
+function readJsonLdAuthor(author) {
+  const names = []
+    .concat(author || [])
+    .map((entry) => (typeof entry === "string" ? entry : entry && entry.name))
+    .filter(Boolean);
+
+  return names.length > 0 ? names.join(", ") : null;
+}
+
+/**
+ * Read an image URL from a JSON-LD image value
+ * @param {*} image - String, ImageObject or array of either
+ * @returns {string|null} - Image URL
+ */
+function readJsonLdImage(image) {
+  const first = [].concat(image || [])[0];
+
+  if (!first) {
+    return null;
+  }
+
+  return typeof first === "string" ? first : first.url || null;
+}
+
+/**
+ * Resolve a possibly relative URL against the page URL
+ * @param {string} value - URL or path
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} - Absolute URL
+ */
+function resolveUrl(value, baseUrl) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a date string to ISO 8601
+ * @param {string} value - Date string
+ * @returns {string|null} - ISO date, or null when unparseable
+ */
+function toIsoDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function normalizeWhitespace(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+function normalizeParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map(normalizeWhitespace)
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+module.exports = {
+  extractArticle,
+  htmlToText,
+};
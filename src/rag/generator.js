@@ -0,0 +1,60 @@
+// backend/src/rag/generator.js
+const {
+  GeminiService,
+  OpenAICompatibleLLMService,
+  MockLLMService,
+} = require("../services/llmService");
+
+/**
+ * Registered LLM providers, keyed by name
+ * Each factory receives the provider's config and returns an LLM service
+ * exposing `generateText()`, `generateResponse()` and `generateStreamingResponse()`
+ */
+const providers = new Map([
+  ["gemini", (config) => new GeminiService(config)],
+  ["openai", (config) => new OpenAICompatibleLLMService(config)],
+  ["mock", () => new MockLLMService()],
+]);
+
+/**
+ * Register an additional LLM provider
+ * @param {string} name - Provider name used in configuration
+ * @param {Function} factory - Function that builds the service from its config
+ */
+function registerLLMProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * List the names of all registered providers
+ * @returns {Array<string>} - Provider names
+ */
+function listLLMProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Build the LLM service for a named provider
+ * @param {string} name - Provider name
+ * @param {Object} config - Provider configuration
+ * @returns {Object} - LLM service
+ */
+function createLLMService(name, config = {}) {
+  const factory = providers.get(name);
+
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}" (available: ${listLLMProviders().join(
+        ", "
+      )})`
+    );
+  }
+
+  return factory(config);
+}
+
+module.exports = {
+  createLLMService,
+  registerLLMProvider,
+  listLLMProviders,
+};
@@ -0,0 +1,151 @@
+// backend/src/rag/historyFormatter.js
+const { estimateTokens } = require("../utils/textProcessing");
+
+/**
+ * How each provider names the stored `user`/`assistant` roles
+ */
+const ROLE_MAPS = {
+  gemini: { user: "user", assistant: "model" },
+  openai: { user: "user", assistant: "assistant" },
+};
+
+// Characters kept from each older message in the summary
+const SUMMARY_EXCERPT_LENGTH = 160;
+
+/**
+ * Prepare stored chat history for an LLM call
+ *
+ * Drops the current user turn if the caller already appended it, keeps the
+ * most recent turns that fit the token budget and folds older turns into a
+ * short summary. Consecutive messages with the same role are merged, since
+ * Gemini requires turns to alternate.
+ * @param {Array} history - Stored messages ({ role, content }), oldest first
+ * @param {Object} options - Formatting options
+ * @param {string} options.provider - Role mapping to use ("gemini" or "openai")
+ * @param {string} options.currentMessage - Message about to be sent (optional)
+ * @param {number} options.tokenBudget - Tokens for verbatim recent turns (optional)
+ * @param {number} options.summaryTokenBudget - Tokens for the summary of older turns (optional)
+ * @returns {Array} - Messages as { role, content } with provider role names
+ */
+function formatHistory(history, options = {}) {
+  const {
+    provider = "openai",
+    currentMessage,
+    tokenBudget = 2000,
+    summaryTokenBudget = 300,
+  } = options;
+  const roles = ROLE_MAPS[provider];
+
+  if (!roles) {
+    throw new Error(`No history role mapping for provider "${provider}"`);
+  }
+
+  const messages = history.filter(
+    (msg) => (msg.role === "user" || msg.role === "assistant") && msg.content
+  );
+
+  // The controller stores the question before answering it
+  const last = messages[messages.length - 1];
+  if (
+    currentMessage &&
+    last &&
+    last.role === "user" &&
+    last.content.trim() === currentMessage.trim()
+  ) {
+    messages.pop();
+  }
+
+  // Keep the newest messages that fit, starting on a user turn
+  let used = 0;
+  let split = messages.length;
+  while (split > 0) {
+    const cost = estimateTokens(messages[split - 1].content);
+    if (used + cost > tokenBudget) {
+      break;
+    }
+    used += cost;
+    split--;
+  }
+  while (split < messages.length && messages[split].role !== "user") {
+    split++;
+  }
+
+  const recent = messages.slice(split).map(({ role, content }) => ({
+    role,
+    content,
+  }));
+  const older = messages.slice(0, split);
+
+  if (older.length > 0) {
+    recent.unshift({
+      role: "user",
+      content: `Summary of our earlier conversation:\n${summarizeTurns(
+        older,
+        summaryTokenBudget
+      )}`,
+    });
+  }
+
+  return mergeConsecutiveRoles(recent).map((msg) => ({
+    role: roles[msg.role],
+    content: msg.content,
+  }));
+}
+
+/**
+ * Summarize older turns as one line each, keeping the latest lines that fit
+ * @param {Array} messages - Messages to summarize, oldest first
+ * @param {number} tokenBudget - Tokens available for the summary
+ * @returns {string} - Summary text
+ */
+function summarizeTurns(messages, tokenBudget) {
+  const lines = messages.map((msg) => {
+    const speaker = msg.role === "user" ? "User asked" : "Assistant answered";
+    return `- ${speaker}: ${excerpt(msg.content)}`;
+  });
+
+  const kept = [];
+  let used = 0;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(lines[i]);
+    if (used + cost > tokenBudget) {
+      break;
+    }
+    kept.unshift(lines[i]);
+    used += cost;
+  }
+
+  const omitted = lines.length - kept.length;
+  if (omitted > 0) {
+    kept.unshift(`- (${omitted} earlier messages omitted)`);
+  }
+
+  return kept.join("\n");
+}
+
+function excerpt(text) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > SUMMARY_EXCERPT_LENGTH
+    ? `${flat.slice(0, SUMMARY_EXCERPT_LENGTH)}...`
+    : flat;
+}
+
+function mergeConsecutiveRoles(messages) {
+  const merged = [];
+
+  for (const msg of messages) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.role === msg.role) {
+      previous.content = `${previous.content}\n\n${msg.content}`;
+    } else {
+      merged.push({ ...msg });
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  formatHistory,
+  ROLE_MAPS,
+};
@@ -1,36 +1,31 @@
 // backend/src/rag/processor.js
+const { buildChunkPayload } = require("../models/chunkPayload");
+
 /**
  * Splits article text into smaller chunks for embedding
  * @param {Object} article - Article object with content
  * @param {number} chunkSize - Approximate token size for each chunk
  * @param {number} overlap - Overlap between chunks
- * @returns {Array} - Array of text chunks with metadata
+ * @returns {Array} - Chunks as { text, metadata } with the canonical chunk payload
  */
 function chunkArticleContent(article, chunkSize = 500, overlap = 100) {
   const content = article.content || "";
+  const articleId = article.guid || article.link || article.id;
 
   // Simple sentence-based chunking (you might want a more sophisticated approach)
-  const sentences = content.split(/(?<=[.!?])\s+/);
-  const chunks = [];
+  const sentences = locateSentences(content);
+  const ranges = [];
 
   let currentChunk = [];
   let currentSize = 0;
 
   for (const sentence of sentences) {
     // Rough estimation of tokens (words / 0.75)
-    const sentenceSize = sentence.split(/\s+/).length;
+    const sentenceSize = sentence.text.split(/\s+/).length;
 
     if (currentSize + sentenceSize > chunkSize && currentChunk.length > 0) {
       // Store the current chunk
-      chunks.push({
-        text: currentChunk.join(" "),
-        metadata: {
-          title: article.title,
-          source: article.source,
-          url: article.link,
-          date: article.pubDate,
-        },
-      });
+      ranges.push(toRange(currentChunk));
 
       // Calculate overlap - keep some sentences for the next chunk
       const overlapSentences = currentChunk.slice(
@@ -38,8 +33,10 @@ function chunkArticleContent(article, chunkSize = 500, overlap = 100) {
       );
       currentChunk = [...overlapSentences, sentence];
       currentSize =
-        overlapSentences.reduce((sum, s) => sum + s.split(/\s+/).length, 0) +
-        sentenceSize;
+        overlapSentences.reduce(
+          (sum, s) => sum + s.text.split(/\s+/).length,
+          0
+        ) + sentenceSize;
     } else {
       currentChunk.push(sentence);
       currentSize += sentenceSize;
@@ -48,18 +45,41 @@ function chunkArticleContent(article, chunkSize = 500, overlap = 100) {
 
   // Add the last chunk if it's not empty
   if (currentChunk.length > 0) {
-    chunks.push({
-      text: currentChunk.join(" "),
-      metadata: {
-        title: article.title,
-        source: article.source,
-        url: article.link,
-        date: article.pubDate,
-      },
-    });
+    ranges.push(toRange(currentChunk));
+  }
+
+  return ranges.map((range, index) => ({
+    text: content.slice(range.startOffset, range.endOffset),
+    metadata: buildChunkPayload(
+      { ...article, id: articleId },
+      { index, total: ranges.length, ...range }
+    ),
+  }));
+}
+
+/**
+ * Split text into sentences, keeping where each one starts and ends
+ * @param {string} text - Text to split
+ * @returns {Array} - { text, start, end } per sentence
+ */
+function locateSentences(text) {
+  const sentences = [];
+  let cursor = 0;
+
+  for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+    const start = text.indexOf(sentence, cursor);
+    cursor = start + sentence.length;
+    sentences.push({ text: sentence, start, end: cursor });
   }
 
-  return chunks;
+  return sentences;
+}
+
+function toRange(sentences) {
+  return {
+    startOffset: sentences[0].start,
+    endOffset: sentences[sentences.length - 1].end,
+  };
 }
 
 /**
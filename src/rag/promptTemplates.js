@@ -0,0 +1,68 @@
+// backend/src/rag/promptTemplates.js
+
+// Variables every answer template must use
+const REQUIRED_VARIABLES = ["context", "question"];
+
+// "name" (latest version) or "name@v3" / "name@3"
+const TEMPLATE_REF_PATTERN = /^([a-z0-9][a-z0-9_-]{0,63})(?:@v?(\d+))?$/i;
+
+/**
+ * Parse a template reference
+ * @param {string} ref - "name", "name@v3" or "name@3"
+ * @returns {Object|null} - { name, version } (version null for latest), or null if malformed
+ */
+function parseTemplateRef(ref) {
+  const match = TEMPLATE_REF_PATTERN.exec(ref || "");
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: match[1].toLowerCase(),
+    version: match[2] ? parseInt(match[2], 10) : null,
+  };
+}
+
+/**
+ * Identifier recorded on bot messages, e.g. "default@v2"
+ * @param {Object} template - { name, version }
+ * @returns {string} - Template ID
+ */
+function formatTemplateId(template) {
+  return `${template.name}@v${template.version}`;
+}
+
+/**
+ * Fill {{variable}} placeholders; unknown placeholders are left as they are
+ * @param {string} body - Template text
+ * @param {Object} variables - Values by variable name
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(body, variables) {
+  // One pass, so placeholders inside substituted values are never expanded
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name)
+      ? String(variables[name])
+      : placeholder
+  );
+}
+
+/**
+ * List required variables a template body doesn't use
+ * @param {string} body - Template text
+ * @returns {Array<string>} - Missing variable names
+ */
+function findMissingVariables(body) {
+  return REQUIRED_VARIABLES.filter(
+    (name) => !new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(body)
+  );
+}
+
+module.exports = {
+  parseTemplateRef,
+  formatTemplateId,
+  renderTemplate,
+  findMissingVariables,
+  TEMPLATE_REF_PATTERN,
+};
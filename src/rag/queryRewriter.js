@@ -0,0 +1,120 @@
+// backend/src/rag/queryRewriter.js
+
+// Longest rewrite we accept; anything longer is the model answering instead
+const MAX_QUERY_LENGTH = 300;
+
+/**
+ * Rewrites follow-up questions into standalone search queries using the
+ * conversation so far ("what did they say about it?" -> "What did the ECB say
+ * about interest rate cuts?")
+ */
+class QueryRewriter {
+  /**
+   * @param {Object} services - Required services and options
+   * @param {Object} services.llmService - Object exposing generateText(prompt, options)
+   * @param {number} services.maxHistoryMessages - Recent messages shown to the model (optional)
+   * @param {number} services.maxMessageChars - Characters kept from each message (optional)
+   */
+  constructor(services) {
+    this.llmService = services.llmService;
+    this.maxHistoryMessages = services.maxHistoryMessages || 6;
+    this.maxMessageChars = services.maxMessageChars || 500;
+  }
+
+  /**
+   * Rewrite a message into a standalone query
+   * @param {string} message - Latest user message
+   * @param {Array} history - Earlier messages, oldest first, excluding `message`
+   * @param {Object} options - { now } date used to resolve "today"/"yesterday" (optional)
+   * @returns {Promise<string>} - Standalone query; the message itself when
+   * there is no history or the rewrite fails
+   */
+  async rewrite(message, history = [], options = {}) {
+    const recent = history
+      .filter((msg) => msg.role === "user" || msg.role === "assistant")
+      .slice(-this.maxHistoryMessages);
+
+    if (recent.length === 0) {
+      return message;
+    }
+
+    try {
+      const rewritten = await this.llmService.generateText(
+        buildRewritePrompt(message, recent, {
+          now: options.now || new Date(),
+          maxMessageChars: this.maxMessageChars,
+        }),
+        { temperature: 0, maxOutputTokens: 128 }
+      );
+
+      return cleanRewrite(rewritten) || message;
+    } catch (error) {
+      console.error("Query rewrite failed, using the message as is:", error);
+      return message;
+    }
+  }
+}
+
+/**
+ * Build the condensation prompt
+ * @param {string} message - Latest user message
+ * @param {Array} history - Recent messages, oldest first
+ * @param {Object} options - { now, maxMessageChars }
+ * @returns {string} - Prompt text
+ */
+function buildRewritePrompt(message, history, { now, maxMessageChars }) {
+  const conversation = history
+    .map((msg) => {
+      const speaker = msg.role === "user" ? "User" : "Assistant";
+      return `${speaker}: ${truncate(msg.content, maxMessageChars)}`;
+    })
+    .join("\n");
+
+  return `Rewrite the user's latest message as a standalone search query for a news article search engine.
+Replace pronouns and vague references (they, it, that company, the deal...) with the people, organizations, places and events they refer to in the conversation.
+Turn relative dates such as "yesterday" or "last week" into explicit dates. Today is ${now
+    .toISOString()
+    .slice(0, 10)}.
+If the message is already standalone, return it unchanged. Do not answer the question.
+Reply with the query only, on a single line.
+
+CONVERSATION:
+${conversation}
+
+LATEST MESSAGE:
+${message}
+
+STANDALONE QUERY:`;
+}
+
+/**
+ * Normalize the model's reply to a single-line query
+ * @param {string} text - Model output
+ * @returns {string|null} - Query, or null when the reply isn't usable
+ */
+function cleanRewrite(text) {
+  const line = (text || "")
+    .split("\n")
+    .map((part) => part.trim())
+    .find(Boolean);
+
+  if (!line) {
+    return null;
+  }
+
+  const query = line
+    .replace(/^standalone query:\s*/i, "")
+    .replace(/^["'`]+|["'`]+$/g, "")
+    .trim();
+
+  return query && query.length <= MAX_QUERY_LENGTH ? query : null;
+}
+
+function truncate(text, maxChars) {
+  const value = text || "";
+  return value.length > maxChars ? `${value.slice(0, maxChars)}...` : value;
+}
+
+module.exports = {
+  QueryRewriter,
+};
@@ -0,0 +1,62 @@
+// backend/src/rag/reranker.js
+const {
+  CrossEncoderReranker,
+  StubReranker,
+} = require("../services/rerankerService");
+
+/**
+ * Registered rerankers, keyed by name
+ * Each factory receives the reranker's config and returns an object exposing
+ * `rerank(query, documents)`
+ */
+const providers = new Map([
+  ["cross-encoder", (config) => new CrossEncoderReranker(config)],
+  ["stub", () => new StubReranker()],
+]);
+
+/**
+ * Register an additional reranker
+ * @param {string} name - Reranker name used in configuration
+ * @param {Function} factory - Function that builds the reranker from its config
+ */
+function registerReranker(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * List the names of all registered rerankers
+ * @returns {Array<string>} - Reranker names
+ */
+function listRerankers() {
+  return [...providers.keys()];
+}
+
+/**
+ * Build the reranker for a named provider
+ * @param {string} name - Reranker name, or "none" to skip reranking
+ * @param {Object} config - Reranker configuration
+ * @returns {Object|null} - Reranker, or null when reranking is disabled
+ */
+function createReranker(name, config = {}) {
+  if (!name || name === "none") {
+    return null;
+  }
+
+  const factory = providers.get(name);
+
+  if (!factory) {
+    throw new Error(
+      `Unknown reranker "${name}" (available: none, ${listRerankers().join(
+        ", "
+      )})`
+    );
+  }
+
+  return factory(config);
+}
+
+module.exports = {
+  createReranker,
+  registerReranker,
+  listRerankers,
+};
@@ -0,0 +1,185 @@
+// backend/src/rag/retriever.js
+
+const RETRIEVAL_MODES = ["hybrid", "dense", "keyword"];
+
+/**
+ * Merge ranked result lists with reciprocal rank fusion
+ *
+ * Each document scores the sum of 1 / (k + rank) over the lists it appears
+ * in, so documents ranked well by both dense and keyword search rise to the top.
+ * @param {Array<Array>} resultLists - Ranked lists of results with an `id`
+ * @param {Object} options - { k }
+ * @returns {Array} - Fused results, best first, with the fused `score`
+ */
+function reciprocalRankFusion(resultLists, options = {}) {
+  const { k = 60 } = options;
+  const fused = new Map();
+
+  for (const results of resultLists) {
+    results.forEach((result, rank) => {
+      const entry = fused.get(result.id) || { result, score: 0 };
+      entry.score += 1 / (k + rank + 1);
+      fused.set(result.id, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(({ result, score }) => ({ ...result, score }));
+}
+
+/**
+ * Retrieves chunks for a query with dense, keyword or hybrid search, dropping
+ * chunks whose dense similarity to the query is too low, then optionally
+ * reranks an over-fetched candidate set and drops chunks the reranker scores
+ * below a minimum relevance
+ */
+class HybridRetriever {
+  /**
+   * @param {Object} services - Required services and options
+   * @param {Object} services.embeddingService - Embeds the query for dense search
+   * @param {Object} services.vectorStoreService - Provides similaritySearch and keywordSearch
+   * @param {string} services.defaultMode - Mode used when a request doesn't pick one (optional)
+   * @param {number} services.rrfK - Reciprocal rank fusion constant (optional)
+   * @param {number} services.minSimilarity - Default cutoff on dense (cosine) similarity (optional)
+   * @param {Object} services.reranker - Object exposing rerank(query, documents) (optional)
+   * @param {number} services.rerankCandidates - Candidates fetched for the reranker (optional)
+   * @param {number} services.minRelevance - Default cutoff on reranker scores (optional)
+   */
+  constructor(services) {
+    this.embeddingService = services.embeddingService;
+    this.vectorStoreService = services.vectorStoreService;
+    this.defaultMode = services.defaultMode || "hybrid";
+    this.rrfK = services.rrfK || 60;
+    this.minSimilarity = services.minSimilarity ?? 0.3;
+    this.reranker = services.reranker || null;
+    this.rerankCandidates = services.rerankCandidates || 20;
+    this.minRelevance = services.minRelevance || 0;
+
+    if (!RETRIEVAL_MODES.includes(this.defaultMode)) {
+      throw new Error(
+        `Unknown retrieval mode "${
+          this.defaultMode
+        }" (expected one of ${RETRIEVAL_MODES.join(", ")})`
+      );
+    }
+  }
+
+  /**
+   * Retrieve the most relevant chunks for a query
+   *
+   * Chunks are cut off by their dense similarity, which every search but a
+   * keyword-only one has, and then by their reranker score when reranking.
+   * BM25 and fused RRF scores have no fixed scale, so they aren't cut off. An
+   * empty result means nothing was relevant enough.
+   * @param {string} query - Query text
+   * @param {Object} options - Retrieval options
+   * @param {number} options.limit - Maximum number of results
+   * @param {string} options.mode - "hybrid", "dense" or "keyword"
+   * @param {Object} options.filters - Metadata filters
+   * @param {number} options.minRelevance - Minimum score a chunk needs: its
+   * reranker score when reranking, otherwise its dense similarity (optional)
+   * @param {Array<number>} options.queryEmbedding - Precomputed query embedding (optional)
+   * @returns {Promise<Array>} - Ranked documents
+   */
+  async retrieve(query, options = {}) {
+    const {
+      limit = 5,
+      mode = this.defaultMode,
+      filters,
+      minRelevance,
+      queryEmbedding,
+    } = options;
+
+    if (!this.reranker) {
+      return this.search(query, {
+        limit,
+        mode,
+        filters,
+        queryEmbedding,
+        minSimilarity: minRelevance ?? this.minSimilarity,
+      });
+    }
+
+    const candidates = await this.search(query, {
+      limit: Math.max(limit, this.rerankCandidates),
+      mode,
+      filters,
+      queryEmbedding,
+      minSimilarity: this.minSimilarity,
+    });
+
+    let reranked;
+    try {
+      reranked = await this.reranker.rerank(query, candidates);
+    } catch (error) {
+      // Reranking is an enhancement; answer from the search order instead
+      console.error("Reranking failed, using search order:", error);
+      return candidates.slice(0, limit);
+    }
+
+    return reranked
+      .filter((result) => result.score >= (minRelevance ?? this.minRelevance))
+      .slice(0, limit);
+  }
+
+  /**
+   * Run the first-stage search, without reranking
+   * @param {string} query - Query text
+   * @param {Object} options - { limit, mode, filters, queryEmbedding, minSimilarity }
+   * @returns {Promise<Array>} - Ranked documents
+   */
+  async search(
+    query,
+    { limit, mode, filters, queryEmbedding, minSimilarity = 0 }
+  ) {
+    if (mode === "keyword") {
+      return this.vectorStoreService.keywordSearch(query, limit, { filters });
+    }
+
+    const embedding =
+      queryEmbedding || (await this.embeddingService.embedText(query));
+
+    if (mode === "dense") {
+      const results = await this.vectorStoreService.similaritySearch(
+        embedding,
+        limit,
+        { filters }
+      );
+      return results.filter((result) => result.score >= minSimilarity);
+    }
+
+    // Fuse deeper lists than we return so agreement lower down still counts
+    const candidates = Math.max(limit * 4, 20);
+    const [denseResults, keywordResults] = await Promise.all([
+      this.vectorStoreService.similaritySearch(embedding, candidates, {
+        filters,
+      }),
+      this.vectorStoreService
+        .keywordSearch(query, candidates, { filters })
+        .catch((error) => {
+          // Keyword search is an enhancement; fall back to dense results alone
+          console.error("Keyword search failed, using dense only:", error);
+          return [];
+        }),
+    ]);
+
+    // Keyword matches alone don't make an off-topic query answerable
+    const similarResults = denseResults.filter(
+      (result) => result.score >= minSimilarity
+    );
+    if (similarResults.length === 0) {
+      return [];
+    }
+
+    return reciprocalRankFusion([similarResults, keywordResults], {
+      k: this.rrfK,
+    }).slice(0, limit);
+  }
+}
+
+module.exports = {
+  HybridRetriever,
+  reciprocalRankFusion,
+  RETRIEVAL_MODES,
+};
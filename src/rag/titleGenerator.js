@@ -0,0 +1,112 @@
+// backend/src/rag/titleGenerator.js
+
+/**
+ * Names chat sessions from their first exchange so users can find them again
+ * ("Who won the Dutch election?" -> "Dutch election results")
+ */
+class TitleGenerator {
+  /**
+   * @param {Object} services - Required services and options
+   * @param {Object} services.llmService - Object exposing generateText(prompt, options)
+   * @param {number} services.maxTitleChars - Longest title kept (optional)
+   * @param {number} services.maxMessageChars - Characters kept from each message (optional)
+   */
+  constructor(services) {
+    this.llmService = services.llmService;
+    this.maxTitleChars = services.maxTitleChars || 60;
+    this.maxMessageChars = services.maxMessageChars || 500;
+  }
+
+  /**
+   * Generate a title for a session
+   * @param {string} question - First user message
+   * @param {string} answer - First assistant reply (optional)
+   * @returns {Promise<string>} - Title; a shortened question when the model
+   * gives nothing usable or fails
+   */
+  async generate(question, answer = "") {
+    try {
+      const title = await this.llmService.generateText(
+        buildTitlePrompt(question, answer, this.maxMessageChars),
+        { temperature: 0.2, maxOutputTokens: 32 }
+      );
+
+      const cleaned = cleanTitle(title);
+      if (cleaned && cleaned.length <= this.maxTitleChars) {
+        return cleaned;
+      }
+    } catch (error) {
+      console.error("Title generation failed, using the question:", error);
+    }
+
+    return shorten(question, this.maxTitleChars);
+  }
+}
+
+/**
+ * Build the title prompt
+ * @param {string} question - First user message
+ * @param {string} answer - First assistant reply
+ * @param {number} maxMessageChars - Characters kept from each message
+ * @returns {string} - Prompt text
+ */
+function buildTitlePrompt(question, answer, maxMessageChars) {
+  return `Write a short title (at most 6 words) for a conversation with a news assistant that starts with the exchange below.
+Name the topic, not the question. No quotes, no trailing punctuation.
+Reply with the title only, on a single line.
+
+USER:
+${shorten(question, maxMessageChars)}
+
+ASSISTANT:
+${shorten(answer, maxMessageChars)}
+
+TITLE:`;
+}
+
+/**
+ * Normalize the model's reply to a single-line title
+ * @param {string} text - Model output
+ * @returns {string|null} - Title, or null when the reply is empty
+ */
+function cleanTitle(text) {
+  const line = (text || "")
+    .split("\n")
+    .map((part) => part.trim())
+    .find(Boolean);
+
+  if (!line) {
+    return null;
+  }
+
+  return (
+    line
+      .replace(/^title:\s*/i, "")
+      .replace(/^["'`*#]+|["'`*]+$/g, "")
+      .replace(/[.!?:;,]+$/, "")
+      .trim() || null
+  );
+}
+
+/**
+ * Shorten text to a word boundary
+ * @param {string} text - Text to shorten
+ * @param {number} maxChars - Maximum length, including the ellipsis
+ * @returns {string} - Single-line text of at most maxChars characters
+ */
+function shorten(text, maxChars) {
+  const value = (text || "").replace(/\s+/g, " ").trim();
+
+  if (value.length <= maxChars) {
+    return value;
+  }
+
+  const cut = value.slice(0, maxChars - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  const head = lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut;
+  return `${head.trim()}…`;
+}
+
+module.exports = {
+  TitleGenerator,
+};
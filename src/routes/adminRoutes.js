@@ -0,0 +1,111 @@
+// backend/src/routes/adminRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  validateBody,
+  validateIngestPayload,
+  validateFeedCreatePayload,
+  validateFeedUpdatePayload,
+  validatePromptTemplatePayload,
+} = require("../middleware/validation");
+
+/**
+ * Setup admin routes
+ * Authentication and the admin role check are applied where the router is mounted
+ * @param {Object} adminController - Admin controller instance
+ * @returns {Object} - Express router
+ */
+function setupAdminRoutes(adminController) {
+  /**
+   * @route POST /api/admin/ingest
+   * @description Queue articles for ingestion into the vector store
+   * @access Admin
+   */
+  router.post("/ingest", validateBody(validateIngestPayload), (req, res) =>
+    adminController.ingest(req, res)
+  );
+
+  /**
+   * @route GET /api/admin/jobs/:jobId
+   * @description Get the status and progress of an ingestion job
+   * @access Admin
+   */
+  router.get("/jobs/:jobId", (req, res) => adminController.getJob(req, res));
+
+  /**
+   * @route GET /api/admin/feeds
+   * @description List registered RSS feeds with last success/error and item counts
+   * @access Admin
+   */
+  router.get("/feeds", (req, res) => adminController.listFeeds(req, res));
+
+  /**
+   * @route POST /api/admin/feeds
+   * @description Register an RSS feed ({ url, name, pollIntervalMinutes, enabled })
+   * @access Admin
+   */
+  router.post("/feeds", validateBody(validateFeedCreatePayload), (req, res) =>
+    adminController.createFeed(req, res)
+  );
+
+  /**
+   * @route GET /api/admin/feeds/:feedId
+   * @description Get a registered RSS feed and its polling status
+   * @access Admin
+   */
+  router.get("/feeds/:feedId", (req, res) => adminController.getFeed(req, res));
+
+  /**
+   * @route PATCH /api/admin/feeds/:feedId
+   * @description Update a feed's URL, name, polling interval or enabled flag
+   * @access Admin
+   */
+  router.patch(
+    "/feeds/:feedId",
+    validateBody(validateFeedUpdatePayload),
+    (req, res) => adminController.updateFeed(req, res)
+  );
+
+  /**
+   * @route DELETE /api/admin/feeds/:feedId
+   * @description Remove a feed from the registry
+   * @access Admin
+   */
+  router.delete("/feeds/:feedId", (req, res) =>
+    adminController.deleteFeed(req, res)
+  );
+
+  /**
+   * @route POST /api/admin/feeds/:feedId/poll
+   * @description Poll a feed now and queue its items for ingestion
+   * @access Admin
+   */
+  router.post("/feeds/:feedId/poll", (req, res) =>
+    adminController.pollFeed(req, res)
+  );
+
+  /**
+   * @route GET /api/admin/prompts
+   * @description List prompt template versions from files and the database
+   * @access Admin
+   */
+  router.get("/prompts", (req, res) =>
+    adminController.listPromptTemplates(req, res)
+  );
+
+  /**
+   * @route POST /api/admin/prompts
+   * @description Store a new version of a prompt template (requires PostgreSQL)
+   * Body: { name, body, description? }; body must use {{context}} and {{question}}
+   * @access Admin
+   */
+  router.post(
+    "/prompts",
+    validateBody(validatePromptTemplatePayload),
+    (req, res) => adminController.createPromptTemplate(req, res)
+  );
+
+  return router;
+}
+
+module.exports = setupAdminRoutes;
@@ -1,51 +1,131 @@
 // backend/src/routes/chatRoutes.js
 const express = require("express");
 const router = express.Router();
+const {
+  validateBody,
+  validateMessagePayload,
+  validateRegeneratePayload,
+  validateSessionPayload,
+  validateSessionUpdatePayload,
+} = require("../middleware/validation");
 
 /**
  * Setup chat routes
  * @param {Object} chatController - Chat controller instance
+ * @param {Function} requireSessionOwner - Param middleware restricting a session to its owner
  * @returns {Object} - Express router
  */
-function setupChatRoutes(chatController) {
+function setupChatRoutes(chatController, requireSessionOwner) {
+  router.param("sessionId", requireSessionOwner);
+
   /**
    * @route POST /api/chat/session
-   * @description Create a new chat session
-   * @access Public
+   * @description Create a new chat session owned by the caller
+   * Body (optional): { promptTemplate?: "name" | "name@v2" } pins the session's prompt
+   * @access Private
+   */
+  router.post("/session", validateBody(validateSessionPayload), (req, res) =>
+    chatController.createSession(req, res)
+  );
+
+  /**
+   * @route GET /api/chat/sessions
+   * @description List the caller's sessions with title, last activity and
+   * message count, most recently active first (?page=&limit=)
+   * @access Private
    */
-  router.post("/session", (req, res) => chatController.createSession(req, res));
+  router.get("/sessions", (req, res) => chatController.listSessions(req, res));
+
+  /**
+   * @route PATCH /api/chat/session/:sessionId
+   * @description Rename a chat session
+   * Body: { title }
+   * @access Private (session owner)
+   */
+  router.patch(
+    "/session/:sessionId",
+    validateBody(validateSessionUpdatePayload),
+    (req, res) => chatController.renameSession(req, res)
+  );
 
   /**
    * @route GET /api/chat/session/:sessionId
-   * @description Get chat session history
-   * @access Public
+   * @description Get the messages of one branch and the list of branches
+   * (?branch=<last message ID>, default the active branch)
+   * @access Private (session owner)
    */
   router.get("/session/:sessionId", (req, res) =>
     chatController.getSessionHistory(req, res)
   );
 
+  /**
+   * @route GET /api/chat/session/:sessionId/export
+   * @description Download the conversation with timestamps and a bibliography
+   * of the cited articles (?format=md|json|html, default md)
+   * @access Private (session owner)
+   */
+  router.get("/session/:sessionId/export", (req, res) =>
+    chatController.exportSession(req, res)
+  );
+
   /**
    * @route POST /api/chat/session/:sessionId/message
    * @description Send a message and get response
-   * @access Public
+   * Body: { message, parentId?: message to reply after (default the active
+   *         branch's last message), filters?: { source, category, author, dateFrom, dateTo },
+   *         searchMode?: "hybrid" | "dense" | "keyword", promptTemplate?: "name" | "name@v2" }
+   * @access Private (session owner)
    */
-  router.post("/session/:sessionId/message", (req, res) =>
-    chatController.sendMessage(req, res)
+  router.post(
+    "/session/:sessionId/message",
+    validateBody(validateMessagePayload),
+    (req, res) => chatController.sendMessage(req, res)
   );
 
   /**
    * @route POST /api/chat/session/:sessionId/stream
    * @description Stream response for a message
-   * @access Public
+   * Body: { message, parentId?: message to reply after (default the active
+   *         branch's last message), filters?: { source, category, author, dateFrom, dateTo },
+   *         searchMode?: "hybrid" | "dense" | "keyword", promptTemplate?: "name" | "name@v2" }
+   * @access Private (session owner)
+   */
+  router.post(
+    "/session/:sessionId/stream",
+    validateBody(validateMessagePayload),
+    (req, res) => chatController.streamMessage(req, res)
+  );
+
+  /**
+   * @route POST /api/chat/session/:sessionId/regenerate
+   * @description Answer the active branch's last question again; the new
+   * answer becomes a sibling of the old one and the active branch
+   * Body (optional): { filters?, searchMode?, promptTemplate? }
+   * @access Private (session owner)
+   */
+  router.post(
+    "/session/:sessionId/regenerate",
+    validateBody(validateRegeneratePayload),
+    (req, res) => chatController.regenerateMessage(req, res)
+  );
+
+  /**
+   * @route PATCH /api/chat/session/:sessionId/message/:messageId
+   * @description Edit a user message: the edited question starts a new branch
+   * from the same point and is answered; the original branch is kept
+   * Body: { message, filters?, searchMode?, promptTemplate? }
+   * @access Private (session owner)
    */
-  router.post("/session/:sessionId/stream", (req, res) =>
-    chatController.streamMessage(req, res)
+  router.patch(
+    "/session/:sessionId/message/:messageId",
+    validateBody(validateMessagePayload),
+    (req, res) => chatController.editMessage(req, res)
   );
 
   /**
    * @route DELETE /api/chat/session/:sessionId
    * @description Clear chat session
-   * @access Public
+   * @access Private (session owner)
    */
   router.delete("/session/:sessionId", (req, res) =>
     chatController.clearSession(req, res)
@@ -0,0 +1,42 @@
+// backend/src/routes/historyRoutes.js
+const express = require("express");
+const router = express.Router();
+
+/**
+ * Setup history routes
+ * @param {Object} historyController - History controller instance
+ * @param {Function} requireSessionOwner - Param middleware restricting a session to its owner
+ * @returns {Object} - Express router
+ */
+function setupHistoryRoutes(historyController, requireSessionOwner) {
+  router.param("sessionId", requireSessionOwner);
+
+  /**
+   * @route GET /api/history
+   * @description List the caller's past chat sessions (?page=&limit=)
+   * @access Private
+   */
+  router.get("/", (req, res) => historyController.listSessions(req, res));
+
+  /**
+   * @route GET /api/history/:sessionId
+   * @description Page through a session's messages (?page=&limit=)
+   * @access Private (session owner)
+   */
+  router.get("/:sessionId", (req, res) =>
+    historyController.getSessionMessages(req, res)
+  );
+
+  /**
+   * @route DELETE /api/history/:sessionId
+   * @description Delete a session and its messages
+   * @access Private (session owner)
+   */
+  router.delete("/:sessionId", (req, res) =>
+    historyController.deleteSession(req, res)
+  );
+
+  return router;
+}
+
+module.exports = setupHistoryRoutes;
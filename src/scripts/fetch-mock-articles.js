@@ -6,6 +6,7 @@ const axios = require("axios");
 // Configuration
 const config = {
   ragServerUrl: "http://localhost:3000",
+  adminApiKey: process.env.ADMIN_API_KEY, // API key with the admin role
   articlesDir: path.join(__dirname, "../data/articles"),
   mockApiUrl: "https://jsonplaceholder.typicode.com",
   totalArticles: 1, //TODO: make sure to change the number back to 50
@@ -109,10 +110,15 @@ async function fetchMockArticles() {
         {
           headers: {
             "Content-Type": "application/json",
+            "X-API-Key": config.adminApiKey,
           },
         }
       );
       console.log("Ingestion response:", response.data);
+      console.log(
+        "Track progress at",
+        `${config.ragServerUrl}${response.data.statusUrl}`
+      );
     } catch (error) {
       if (error.code === "ECONNREFUSED") {
         console.error(
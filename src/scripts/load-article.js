@@ -3,11 +3,12 @@ const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
 const Parser = require("rss-parser");
-const { JSDOM } = require("jsdom");
+const { extractArticle } = require("../rag/extractor");
 
 // Configuration
 const config = {
   ragServerUrl: "http://localhost:3000",
+  adminApiKey: process.env.ADMIN_API_KEY, // API key with the admin role
   articlesDir: path.join(__dirname, "../data/articles"),
   rssFeeds: [
     "https://rss.nytimes.com/services/xml/rss/nyt/Technology.xml",
@@ -23,29 +24,6 @@ if (!fs.existsSync(config.articlesDir)) {
   fs.mkdirSync(config.articlesDir, { recursive: true });
 }
 
-// HTML content extractor
-function extractContent(html) {
-  const dom = new JSDOM(html);
-  const document = dom.window.document;
-
-  // Remove script and style elements
-  const scripts = document.querySelectorAll(
-    "script, style, nav, header, footer, aside"
-  );
-  scripts.forEach((script) => script.remove());
-
-  // Get the article content
-  const article = document.querySelector("article") || document.body;
-
-  // Extract text content and clean it up
-  let content = article.textContent
-    .replace(/\s+/g, " ")
-    .replace(/\n+/g, "\n")
-    .trim();
-
-  return content;
-}
-
 // Parse RSS feed
 async function parseRssFeed(feedUrl) {
   try {
@@ -77,13 +55,19 @@ async function fetchArticleContent(article) {
       },
     });
 
-    // Extract content from HTML
-    const content = extractContent(response.data);
+    // Extract the article body and metadata from HTML
+    const extracted = extractArticle(response.data, { url: article.link });
 
     return {
       ...article,
-      content,
+      content: extracted.content,
+      author: extracted.author,
+      pubDate: article.pubDate || extracted.publishedDate,
       id: article.guid,
+      metadata: {
+        leadImage: extracted.leadImage,
+        canonicalUrl: extracted.canonicalUrl,
+      },
     };
   } catch (error) {
     console.error(`Error fetching article ${article.title}:`, error.message);
@@ -109,9 +93,11 @@ function saveArticleToFile(article) {
 async function ingestArticlesToRag(articles) {
   try {
     console.log(`Ingesting ${articles.length} articles to RAG system...`);
-    const response = await axios.post(`${config.ragServerUrl}/ingest`, {
-      articles,
-    });
+    const response = await axios.post(
+      `${config.ragServerUrl}/api/admin/ingest`,
+      { articles },
+      { headers: { "X-API-Key": config.adminApiKey } }
+    );
     console.log("Ingestion successful:", response.data);
     return response.data;
   } catch (error) {
@@ -0,0 +1,200 @@
+// backend/src/services/answerCacheService.js
+const crypto = require("crypto");
+
+/**
+ * Semantic cache of chat answers, matched by query embedding
+ *
+ * Entries are grouped by the settings that shape an answer (filters, search
+ * mode, prompt template) and by the corpus version they were generated
+ * against. Ingestion bumps the corpus version, so older answers stop matching
+ * and expire with their TTL.
+ */
+class RedisAnswerCache {
+  /**
+   * @param {Object} config - Cache configuration
+   * @param {Object} config.client - ioredis client
+   * @param {number} config.threshold - Minimum cosine similarity for a hit (optional)
+   * @param {number} config.ttl - Seconds an answer stays usable (optional)
+   * @param {number} config.maxEntries - Answers kept per settings group (optional)
+   */
+  constructor(config) {
+    this.client = config.client;
+    this.threshold = config.threshold || 0.95;
+    this.ttl = config.ttl || 3600; // 1 hour default
+    this.maxEntries = config.maxEntries || 200;
+
+    this.versionKey = "answer_cache:corpus_version";
+  }
+
+  /**
+   * Find the cached answer whose query is most similar to this one
+   * @param {Array<number>} embedding - Query embedding
+   * @param {Object} scope - Settings the answer must match ({ filters, searchMode, promptTemplate })
+   * @returns {Promise<Object|null>} - Cached result with { cachedQuery, similarity, corpusVersion }, or null on a miss
+   */
+  async lookup(embedding, scope) {
+    try {
+      const corpusVersion = await this.getCorpusVersion();
+      const entries = await this.client.lrange(
+        this._bucketKey(corpusVersion, scope),
+        0,
+        -1
+      );
+
+      const oldest = Date.now() - this.ttl * 1000;
+      let best = null;
+
+      for (const data of entries) {
+        const entry = JSON.parse(data);
+        if (entry.createdAt < oldest) {
+          continue;
+        }
+
+        const similarity = cosineSimilarity(
+          embedding,
+          decodeEmbedding(entry.embedding)
+        );
+        if (
+          similarity >= this.threshold &&
+          (!best || similarity > best.similarity)
+        ) {
+          best = { entry, similarity };
+        }
+      }
+
+      if (!best) {
+        return null;
+      }
+
+      return {
+        ...best.entry.result,
+        cachedQuery: best.entry.query,
+        similarity: best.similarity,
+        corpusVersion,
+      };
+    } catch (error) {
+      console.error("Failed to look up cached answer:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache an answer for a query
+   * @param {Array<number>} embedding - Query embedding
+   * @param {Object} scope - Settings the answer was generated with
+   * @param {string} query - Query text, kept for diagnostics
+   * @param {Object} result - Answer to return on later hits
+   */
+  async store(embedding, scope, query, result) {
+    try {
+      const corpusVersion = await this.getCorpusVersion();
+      const key = this._bucketKey(corpusVersion, scope);
+      const entry = {
+        query,
+        embedding: encodeEmbedding(embedding),
+        result,
+        corpusVersion,
+        createdAt: Date.now(),
+      };
+
+      await this.client
+        .multi()
+        .lpush(key, JSON.stringify(entry))
+        .ltrim(key, 0, this.maxEntries - 1)
+        .expire(key, this.ttl)
+        .exec();
+    } catch (error) {
+      console.error("Failed to cache answer:", error);
+    }
+  }
+
+  /**
+   * Get the version of the indexed corpus
+   * @returns {Promise<number>} - Version, 0 before the first ingestion
+   */
+  async getCorpusVersion() {
+    return parseInt(await this.client.get(this.versionKey)) || 0;
+  }
+
+  /**
+   * Mark the corpus as changed so answers cached before now are no longer served
+   * @returns {Promise<number>} - The new corpus version
+   */
+  async invalidate() {
+    return this.client.incr(this.versionKey);
+  }
+
+  _bucketKey(corpusVersion, scope) {
+    const scopeHash = crypto
+      .createHash("sha1")
+      .update(
+        JSON.stringify([
+          normalizeFilters(scope.filters),
+          scope.searchMode || null,
+          scope.promptTemplate || null,
+        ])
+      )
+      .digest("hex");
+
+    return `answer_cache:v${corpusVersion}:${scopeHash}`;
+  }
+}
+
+/**
+ * Drop empty filters and sort the rest, so equivalent filters share a key
+ * @param {Object} filters - Retrieval filters (optional)
+ * @returns {Object|null} - Filters, or null when nothing is filtered
+ */
+function normalizeFilters(filters) {
+  const entries = Object.entries(filters || {})
+    .filter(
+      ([, value]) =>
+        value !== undefined &&
+        value !== null &&
+        value !== "" &&
+        !(Array.isArray(value) && value.length === 0)
+    )
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity in [-1, 1], 0 when the lengths differ
+ */
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Float32 in base64 is about a quarter the size of the JSON number array
+function encodeEmbedding(embedding) {
+  return Buffer.from(Float32Array.from(embedding).buffer).toString("base64");
+}
+
+function decodeEmbedding(encoded) {
+  // Copied because pooled Buffers aren't necessarily 4-byte aligned
+  return new Float32Array(
+    Uint8Array.from(Buffer.from(encoded, "base64")).buffer
+  );
+}
+
+module.exports = {
+  RedisAnswerCache,
+  cosineSimilarity,
+};
@@ -3,6 +3,10 @@ const Redis = require("ioredis");
 
 /**
  * Service for handling Redis caching operations
+ *
+ * A chat session is a list of messages (`session:<id>:messages`) next to a
+ * metadata hash (`session:<id>:meta`) and its owner and settings records.
+ * Writes are MULTI transactions that also slide the TTL of all four keys.
  */
 class RedisCacheService {
   /**
@@ -19,6 +23,7 @@ class RedisCacheService {
     });
 
     this.defaultTTL = config.defaultTTL || 3600; // 1 hour default TTL
+    this.maxSessionMessages = config.maxSessionMessages || 100;
 
     // Handle connection events
     this.client.on("error", (err) => {
@@ -31,15 +36,50 @@ class RedisCacheService {
   }
 
   /**
-   * Store chat session data
+   * Replace a chat session's messages, e.g. when creating, clearing or
+   * restoring it from SQL
    * @param {string} sessionId - Unique session identifier
-   * @param {Array} messages - Chat messages
+   * @param {Array} messages - Chat messages, oldest first
+   * @param {Object} metadata - { createdAt, title, messageCount, headId } (optional)
    * @param {number} ttl - Time to live in seconds (optional)
    */
-  async storeChatSession(sessionId, messages, ttl = this.defaultTTL) {
+  async storeChatSession(
+    sessionId,
+    messages,
+    metadata = {},
+    ttl = this.defaultTTL
+  ) {
     try {
-      const key = `session:${sessionId}`;
-      await this.client.setex(key, ttl, JSON.stringify(messages));
+      const key = this._messagesKey(sessionId);
+      const now = new Date().toISOString();
+      const transaction = this.client.multi().del(key);
+
+      if (messages.length > 0) {
+        transaction
+          .rpush(key, ...messages.map((message) => JSON.stringify(message)))
+          .ltrim(key, -this.maxSessionMessages, -1);
+      }
+
+      transaction
+        .hsetnx(
+          this._metaKey(sessionId),
+          "createdAt",
+          metadata.createdAt || (messages[0] && messages[0].timestamp) || now
+        )
+        .hset(this._metaKey(sessionId), {
+          messageCount: metadata.messageCount || messages.length,
+          lastActivityAt: now,
+          headId:
+            metadata.headId ||
+            (messages.length > 0 ? messages[messages.length - 1].id || "" : ""),
+        });
+
+      if (metadata.title) {
+        transaction.hset(this._metaKey(sessionId), "title", metadata.title);
+      }
+
+      await this._touchUserIndex(transaction, sessionId);
+      await this._refreshTTL(transaction, sessionId, ttl).exec();
     } catch (error) {
       console.error("Failed to store chat session:", error);
     }
@@ -48,24 +88,66 @@ class RedisCacheService {
   /**
    * Retrieve chat session data
    * @param {string} sessionId - Unique session identifier
-   * @returns {Array|null} - Chat messages or null if not found
+   * @returns {Array|null} - Chat messages (at most the newest maxSessionMessages) or null if not found
    */
   async getChatSession(sessionId) {
     try {
-      const key = `session:${sessionId}`;
-      const data = await this.client.get(key);
+      // The metadata hash marks the session as existing; an empty list doesn't
+      const [[, exists], [, data]] = await this.client
+        .multi()
+        .exists(this._metaKey(sessionId))
+        .lrange(this._messagesKey(sessionId), 0, -1)
+        .exec();
 
-      if (!data) {
+      if (!exists) {
         return null;
       }
 
-      return JSON.parse(data);
+      return data.map((message) => JSON.parse(message));
     } catch (error) {
       console.error("Failed to retrieve chat session:", error);
       return null;
     }
   }
 
+  /**
+   * Atomically append messages to a chat session, dropping the oldest beyond
+   * maxSessionMessages and extending the session's TTL. The limit counts the
+   * messages of all branches, so a branch's older messages may be dropped
+   * while they are still on it. The last appended message becomes the head of
+   * the session's active branch.
+   * @param {string} sessionId - Unique session identifier
+   * @param {Array} messages - New chat messages, oldest first
+   * @param {number} ttl - Time to live in seconds (optional)
+   * @returns {boolean} - Success status
+   */
+  async appendMessages(sessionId, messages, ttl = this.defaultTTL) {
+    try {
+      const key = this._messagesKey(sessionId);
+      const metaKey = this._metaKey(sessionId);
+      const now = new Date().toISOString();
+
+      const transaction = this.client
+        .multi()
+        .rpush(key, ...messages.map((message) => JSON.stringify(message)))
+        .ltrim(key, -this.maxSessionMessages, -1)
+        .hsetnx(metaKey, "createdAt", now)
+        .hincrby(metaKey, "messageCount", messages.length)
+        .hset(metaKey, {
+          lastActivityAt: now,
+          headId: messages[messages.length - 1].id || "",
+        });
+
+      await this._touchUserIndex(transaction, sessionId);
+      await this._refreshTTL(transaction, sessionId, ttl).exec();
+
+      return true;
+    } catch (error) {
+      console.error("Failed to append messages to session:", error);
+      return false;
+    }
+  }
+
   /**
    * Add message to existing chat session
    * @param {string} sessionId - Unique session identifier
@@ -74,21 +156,52 @@ class RedisCacheService {
    * @returns {boolean} - Success status
    */
   async addMessageToSession(sessionId, message, ttl = this.defaultTTL) {
+    return this.appendMessages(sessionId, [message], ttl);
+  }
+
+  /**
+   * Get a chat session's metadata
+   * @param {string} sessionId - Unique session identifier
+   * @returns {Object|null} - { createdAt, lastActivityAt, title, messageCount, headId } or null if not found
+   */
+  async getSessionMetadata(sessionId) {
     try {
-      const key = `session:${sessionId}`;
-      const data = await this.client.get(key);
+      const data = await this.client.hgetall(this._metaKey(sessionId));
+      return toSessionMetadata(data);
+    } catch (error) {
+      console.error("Failed to get session metadata:", error);
+      return null;
+    }
+  }
 
-      let messages = [];
-      if (data) {
-        messages = JSON.parse(data);
+  /**
+   * Set a chat session's title
+   * @param {string} sessionId - Unique session identifier
+   * @param {string} title - Session title
+   * @param {Object} options - { overwrite: false } keeps a title set earlier,
+   * e.g. when the user renamed the session while one was being generated
+   * @returns {boolean} - Whether the session exists
+   */
+  async setSessionTitle(sessionId, title, { overwrite = true } = {}) {
+    try {
+      const metaKey = this._metaKey(sessionId);
+      const transaction = this.client.multi().exists(metaKey);
+      if (overwrite) {
+        transaction.hset(metaKey, "title", title);
+      } else {
+        transaction.hsetnx(metaKey, "title", title);
       }
 
-      messages.push(message);
-      await this.client.setex(key, ttl, JSON.stringify(messages));
+      const [[, exists]] = await transaction.exec();
 
-      return true;
+      // HSET on a missing key creates it without a TTL, so undo that
+      if (!exists) {
+        await this.client.del(metaKey);
+      }
+
+      return Boolean(exists);
     } catch (error) {
-      console.error("Failed to add message to session:", error);
+      console.error("Failed to set session title:", error);
       return false;
     }
   }
@@ -100,8 +213,16 @@ class RedisCacheService {
    */
   async deleteChatSession(sessionId) {
     try {
-      const key = `session:${sessionId}`;
-      await this.client.del(key);
+      const owner = await this.getSessionOwner(sessionId);
+      const transaction = this.client
+        .multi()
+        .del(...this._sessionKeys(sessionId));
+
+      if (owner) {
+        transaction.zrem(this._userSessionsKey(owner), sessionId);
+      }
+
+      await transaction.exec();
       return true;
     } catch (error) {
       console.error("Failed to delete chat session:", error);
@@ -110,41 +231,187 @@ class RedisCacheService {
   }
 
   /**
-   * Cache query results
-   * @param {string} query - User query
-   * @param {Object} result - Query result
+   * Record which user owns a chat session
+   * @param {string} sessionId - Unique session identifier
+   * @param {string} userId - Owner's user ID
    * @param {number} ttl - Time to live in seconds (optional)
    */
-  async cacheQueryResult(query, result, ttl = this.defaultTTL) {
+  async setSessionOwner(sessionId, userId, ttl = this.defaultTTL) {
     try {
-      const key = `query:${Buffer.from(query).toString("base64")}`;
-      await this.client.setex(key, ttl, JSON.stringify(result));
+      // The per-user index has no TTL; listing prunes sessions that expired
+      await this.client
+        .multi()
+        .setex(`session_owner:${sessionId}`, ttl, userId)
+        .zadd(this._userSessionsKey(userId), Date.now(), sessionId)
+        .exec();
     } catch (error) {
-      console.error("Failed to cache query result:", error);
+      console.error("Failed to store session owner:", error);
     }
   }
 
   /**
-   * Get cached query result
-   * @param {string} query - User query
-   * @returns {Object|null} - Cached result or null if not found
+   * Get the user ID that owns a chat session
+   * @param {string} sessionId - Unique session identifier
+   * @returns {string|null} - Owner's user ID or null if unknown
    */
-  async getCachedQueryResult(query) {
+  async getSessionOwner(sessionId) {
     try {
-      const key = `query:${Buffer.from(query).toString("base64")}`;
-      const data = await this.client.get(key);
+      return await this.client.get(`session_owner:${sessionId}`);
+    } catch (error) {
+      console.error("Failed to get session owner:", error);
+      return null;
+    }
+  }
 
-      if (!data) {
-        return null;
-      }
+  /**
+   * List a user's live sessions, most recently active first
+   * @param {string} userId - Owner's user ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} - { total, sessions: [{ sessionId, title, createdAt, lastActivityAt, messageCount }] }
+   */
+  async listUserSessions(userId, { limit = 20, offset = 0 } = {}) {
+    try {
+      const indexKey = this._userSessionsKey(userId);
+      let sessions;
+      let expired;
 
-      return JSON.parse(data);
+      // The index is scored by last activity, so a page is one range of it.
+      // Expired sessions stay in the index until a listing drops them, after
+      // which the page is read again.
+      do {
+        const sessionIds = await this.client.zrevrange(
+          indexKey,
+          offset,
+          offset + limit - 1
+        );
+
+        const pipeline = this.client.pipeline();
+        for (const sessionId of sessionIds) {
+          pipeline.hgetall(this._metaKey(sessionId));
+        }
+        const results = sessionIds.length > 0 ? await pipeline.exec() : [];
+
+        sessions = [];
+        expired = [];
+        for (const [index, sessionId] of sessionIds.entries()) {
+          const metadata = toSessionMetadata(results[index][1]);
+
+          if (metadata) {
+            sessions.push({
+              sessionId,
+              title: metadata.title,
+              createdAt: metadata.createdAt,
+              lastActivityAt: metadata.lastActivityAt,
+              messageCount: metadata.messageCount,
+            });
+          } else {
+            expired.push(sessionId);
+          }
+        }
+
+        if (expired.length > 0) {
+          await this.client.zrem(indexKey, ...expired);
+        }
+      } while (expired.length > 0);
+
+      return {
+        total: await this.client.zcard(indexKey),
+        sessions,
+      };
     } catch (error) {
-      console.error("Failed to get cached query result:", error);
+      console.error("Failed to list user sessions:", error);
+      return { total: 0, sessions: [] };
+    }
+  }
+
+  /**
+   * Store a chat session's settings
+   * @param {string} sessionId - Unique session identifier
+   * @param {Object} settings - { promptTemplate }
+   * @param {number} ttl - Time to live in seconds (optional)
+   */
+  async setSessionSettings(sessionId, settings, ttl = this.defaultTTL) {
+    try {
+      await this.client.setex(
+        `session_settings:${sessionId}`,
+        ttl,
+        JSON.stringify(settings)
+      );
+    } catch (error) {
+      console.error("Failed to store session settings:", error);
+    }
+  }
+
+  /**
+   * Get a chat session's settings
+   * @param {string} sessionId - Unique session identifier
+   * @returns {Object|null} - Settings or null if unknown
+   */
+  async getSessionSettings(sessionId) {
+    try {
+      const data = await this.client.get(`session_settings:${sessionId}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error("Failed to get session settings:", error);
       return null;
     }
   }
 
+  /**
+   * Extend the TTL of every key belonging to a session
+   * @param {Object} transaction - ioredis multi() pipeline
+   * @param {string} sessionId - Unique session identifier
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Object} - The pipeline, for chaining
+   */
+  _refreshTTL(transaction, sessionId, ttl) {
+    for (const key of this._sessionKeys(sessionId)) {
+      transaction.expire(key, ttl);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Move a session to the front of its owner's session index
+   * @param {Object} transaction - ioredis multi() pipeline
+   * @param {string} sessionId - Unique session identifier
+   */
+  async _touchUserIndex(transaction, sessionId) {
+    const owner = await this.getSessionOwner(sessionId);
+
+    // XX, so a session deleted meanwhile isn't added back
+    if (owner) {
+      transaction.zadd(
+        this._userSessionsKey(owner),
+        "XX",
+        Date.now(),
+        sessionId
+      );
+    }
+  }
+
+  _messagesKey(sessionId) {
+    return `session:${sessionId}:messages`;
+  }
+
+  _metaKey(sessionId) {
+    return `session:${sessionId}:meta`;
+  }
+
+  _userSessionsKey(userId) {
+    return `user_sessions:${userId}`;
+  }
+
+  _sessionKeys(sessionId) {
+    return [
+      this._messagesKey(sessionId),
+      this._metaKey(sessionId),
+      `session_owner:${sessionId}`,
+      `session_settings:${sessionId}`,
+    ];
+  }
+
   /**
    * Close Redis connection
    */
@@ -154,6 +421,27 @@ class RedisCacheService {
   }
 }
 
+/**
+ * Convert a session metadata hash to its public shape
+ * @param {Object} data - HGETALL result
+ * @returns {Object|null} - { createdAt, lastActivityAt, title, messageCount, headId } or null if the session is gone
+ */
+function toSessionMetadata(data) {
+  if (!data || !data.createdAt) {
+    return null;
+  }
+
+  return {
+    createdAt: data.createdAt,
+    lastActivityAt: data.lastActivityAt || data.createdAt,
+    title: data.title || null,
+    // Counts every message in the conversation, including trimmed ones
+    messageCount: parseInt(data.messageCount) || 0,
+    // Last message of the active branch
+    headId: data.headId || null,
+  };
+}
+
 module.exports = {
   RedisCacheService,
 };
@@ -1,4 +1,6 @@
 // backend/src/services/chunkerService.js
+const { buildChunkPayload } = require("../models/chunkPayload");
+
 /**
  * Service for chunking large documents into smaller pieces for embedding
  */
@@ -15,9 +17,18 @@ class ChunkerService {
    * @returns {Array<string>} - Array of text chunks
    */
   chunkText(text) {
+    return this.chunkTextWithOffsets(text).map((chunk) => chunk.text);
+  }
+
+  /**
+   * Split a long text into chunks, keeping where each one sits in the text
+   * @param {string} text - The text to chunk
+   * @returns {Array<Object>} - { text, startOffset, endOffset } per chunk
+   */
+  chunkTextWithOffsets(text) {
     // If text is already small enough, return it as is
     if (text.length <= this.maxChunkSize) {
-      return [text];
+      return [{ text, startOffset: 0, endOffset: text.length }];
     }
 
     const chunks = [];
@@ -52,7 +63,11 @@ class ChunkerService {
 
       // Only add if the chunk is not too small
       if (chunk.length >= this.minChunkSize) {
-        chunks.push(chunk);
+        chunks.push({
+          text: chunk,
+          startOffset: startIndex,
+          endOffset: endIndex,
+        });
       }
 
       // Move the start index for the next chunk, accounting for overlap
@@ -70,25 +85,26 @@ class ChunkerService {
   /**
    * Process an array of document objects for embedding
    * @param {Array<Object>} documents - Array of document objects with content field
-   * @returns {Array<Object>} - Array of chunk objects with metadata
+   * @returns {Array<Object>} - Chunks as { text, metadata } with the canonical chunk payload
    */
   processDocuments(documents) {
     const chunks = [];
 
     documents.forEach((doc, docIndex) => {
-      const docChunks = this.chunkText(doc.content || doc.text || "");
+      const docChunks = this.chunkTextWithOffsets(
+        doc.content || doc.text || ""
+      );
+      const article = { ...doc, id: doc.id || docIndex.toString() };
 
-      docChunks.forEach((chunkText, chunkIndex) => {
+      docChunks.forEach((chunk, chunkIndex) => {
         chunks.push({
-          text: chunkText,
-          metadata: {
-            docId: doc.id || docIndex.toString(),
-            docTitle: doc.title || `Document ${docIndex}`,
-            chunkIndex,
-            totalChunks: docChunks.length,
-            source: doc.source || "unknown",
-            ...doc.metadata,
-          },
+          text: chunk.text,
+          metadata: buildChunkPayload(article, {
+            index: chunkIndex,
+            total: docChunks.length,
+            startOffset: chunk.startOffset,
+            endOffset: chunk.endOffset,
+          }),
         });
       });
     });
@@ -10,11 +10,34 @@ class JinaEmbeddingService {
     this.apiUrl = config.apiUrl || "https://api.jina.ai/v1/embeddings";
     this.batchSize = config.batchSize || 20; // Reduced batch size for better handling
     this.modelName = config.modelName || "jina-embeddings-v3";
-    this.dimension = config.dimension || 768;
+    this.dimension = config.dimension || null; // Probed on initialize
     this.maxTokens = config.maxTokens || 1000; // Token limit for Jina API
     this.approximateCharsPerToken = 4; // Approximate characters per token
   }
 
+  /**
+   * Probe the API for the model's embedding dimension, so a configured
+   * dimension that doesn't match the model fails at startup rather than on
+   * every upsert
+   * @returns {Promise<number>} - Embedding dimension
+   */
+  async initialize() {
+    const probe = await this.embedText("dimension probe");
+
+    if (this.dimension && this.dimension !== probe.length) {
+      throw new Error(
+        `EMBEDDING_DIMENSION is ${this.dimension} but ${this.modelName} returns ${probe.length}-dimensional embeddings`
+      );
+    }
+
+    this.dimension = probe.length;
+    console.log(
+      `Detected ${this.dimension}-dimensional embeddings from ${this.modelName}`
+    );
+
+    return this.dimension;
+  }
+
   /**
    * Create embeddings for a single text
    * @param {string} text - Text to embed
@@ -152,30 +175,210 @@ class JinaEmbeddingService {
 }
 
 /**
- * Alternative implementation using SentenceTransformers if Jina is not available
+ * Vector sizes of the models fastembed can run locally
+ */
+const LOCAL_MODEL_DIMENSIONS = {
+  "fast-all-MiniLM-L6-v2": 384,
+  "fast-bge-base-en": 768,
+  "fast-bge-base-en-v1.5": 768,
+  "fast-bge-small-en": 384,
+  "fast-bge-small-en-v1.5": 384,
+  "fast-bge-small-zh-v1.5": 512,
+  "fast-multilingual-e5-large": 1024,
+};
+
+/**
+ * Service for generating embeddings on the CPU with an in-process fastembed model
  */
 class LocalEmbeddingService {
   constructor(config = {}) {
-    this.dimension = config.dimension || 768;
+    this.modelName = config.modelName || "fast-bge-base-en-v1.5";
+    this.dimension = LOCAL_MODEL_DIMENSIONS[this.modelName];
+    this.batchSize = config.batchSize || 32;
+    this.maxLength = config.maxLength || 512;
+    this.cacheDir = config.cacheDir || "local_cache";
+    this.modelPromise = null;
+
+    if (!this.dimension) {
+      throw new Error(
+        `Unsupported local embedding model: ${
+          this.modelName
+        } (expected one of ${Object.keys(LOCAL_MODEL_DIMENSIONS).join(", ")})`
+      );
+    }
+  }
+
+  /**
+   * Load the model up front so the first request doesn't pay for it
+   * @returns {Promise<number>} - Embedding dimension
+   */
+  async initialize() {
+    await this._loadModel();
+    return this.dimension;
   }
 
+  /**
+   * Load the model, downloading it into the cache directory on first use
+   * @returns {Promise<Object>} - fastembed model instance
+   */
+  async _loadModel() {
+    if (!this.modelPromise) {
+      // Required lazily so the native runtime is only loaded when this backend is used
+      const { FlagEmbedding } = require("fastembed");
+
+      this.modelPromise = FlagEmbedding.init({
+        model: this.modelName,
+        maxLength: this.maxLength,
+        cacheDir: this.cacheDir,
+        showDownloadProgress: false,
+      }).catch((error) => {
+        this.modelPromise = null;
+        throw new Error(
+          `Failed to load local embedding model: ${error.message}`
+        );
+      });
+    }
+
+    return this.modelPromise;
+  }
+
+  /**
+   * Create embeddings for a single text
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array>} - Embedding vector
+   */
   async embedText(text) {
-    // Placeholder - in a real implementation, you'd use a local model
-    console.warn(
-      "Using placeholder local embedding - implement with proper local embedding library"
-    );
-    return new Array(this.dimension).fill(0); // Return placeholder embedding
+    try {
+      const model = await this._loadModel();
+      const embedding = await model.queryEmbed(text);
+
+      return Array.from(embedding);
+    } catch (error) {
+      console.error("Error generating local embedding:", error.message);
+      throw new Error(`Failed to generate embedding: ${error.message}`);
+    }
   }
 
+  /**
+   * Create embeddings for multiple texts in batches
+   * @param {Array} texts - Array of texts to embed
+   * @returns {Promise<Array>} - Array of embedding vectors
+   */
   async embedBatch(texts) {
-    console.warn(
-      "Using placeholder local embeddings - implement with proper local embedding library"
+    try {
+      const model = await this._loadModel();
+      const embeddings = [];
+
+      for await (const batch of model.passageEmbed(texts, this.batchSize)) {
+        embeddings.push(...batch.map((embedding) => Array.from(embedding)));
+      }
+
+      return embeddings;
+    } catch (error) {
+      console.error("Error generating local batch embeddings:", error.message);
+      throw new Error(`Failed to generate batch embeddings: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Service for generating embeddings through any OpenAI-compatible /embeddings endpoint
+ * (OpenAI itself, vLLM, Ollama, llama.cpp server, LM Studio...)
+ */
+class OpenAICompatibleEmbeddingService {
+  constructor(config = {}) {
+    this.apiKey = config.apiKey;
+    this.apiUrl = (config.apiUrl || "https://api.openai.com/v1").replace(
+      /\/+$/,
+      ""
+    );
+    this.modelName = config.modelName || "text-embedding-3-small";
+    this.batchSize = config.batchSize || 64;
+    this.dimension = config.dimension || null; // Probed on initialize
+  }
+
+  /**
+   * Probe the endpoint for the model's embedding dimension, so a configured
+   * dimension that doesn't match the model fails at startup rather than on
+   * every upsert
+   * @returns {Promise<number>} - Embedding dimension
+   */
+  async initialize() {
+    const [probe] = await this._requestEmbeddings(["dimension probe"]);
+
+    if (this.dimension && this.dimension !== probe.length) {
+      throw new Error(
+        `EMBEDDING_DIMENSION is ${this.dimension} but ${this.modelName} returns ${probe.length}-dimensional embeddings`
+      );
+    }
+
+    this.dimension = probe.length;
+    console.log(
+      `Detected ${this.dimension}-dimensional embeddings from ${this.modelName}`
     );
-    return texts.map(() => new Array(this.dimension).fill(0)); // Return placeholder embeddings
+
+    return this.dimension;
+  }
+
+  /**
+   * Create embeddings for a single text
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array>} - Embedding vector
+   */
+  async embedText(text) {
+    const [embedding] = await this._requestEmbeddings([text]);
+    return embedding;
+  }
+
+  /**
+   * Create embeddings for multiple texts in batches
+   * @param {Array} texts - Array of texts to embed
+   * @returns {Promise<Array>} - Array of embedding vectors
+   */
+  async embedBatch(texts) {
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      embeddings.push(...(await this._requestEmbeddings(batch)));
+    }
+
+    return embeddings;
+  }
+
+  /**
+   * Call the endpoint and return vectors in input order
+   * @param {Array<string>} input - Texts to embed
+   * @returns {Promise<Array>} - Embedding vectors
+   */
+  async _requestEmbeddings(input) {
+    try {
+      const headers = { "Content-Type": "application/json" };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
+
+      const response = await axios.post(
+        `${this.apiUrl}/embeddings`,
+        { input, model: this.modelName },
+        { headers }
+      );
+
+      return response.data.data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding);
+    } catch (error) {
+      console.error(
+        "Error generating embedding:",
+        error.response?.data || error.message
+      );
+      throw new Error(`Failed to generate embedding: ${error.message}`);
+    }
   }
 }
 
 module.exports = {
   JinaEmbeddingService,
   LocalEmbeddingService,
+  OpenAICompatibleEmbeddingService,
 };
@@ -0,0 +1,179 @@
+// backend/src/services/feedRegistryService.js
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * Service for storing the RSS feeds the scheduler polls, kept in a Redis hash
+ * without a TTL so the registry survives restarts
+ */
+class RedisFeedRegistry {
+  /**
+   * @param {Object} config - Registry configuration
+   * @param {Object} config.client - ioredis client
+   */
+  constructor(config) {
+    this.client = config.client;
+    this.key = config.key || "feeds";
+    this.seededKey = `${this.key}:seeded`;
+    this.defaultPollIntervalMinutes = config.defaultPollIntervalMinutes || 30;
+  }
+
+  /**
+   * List all registered feeds
+   * @returns {Promise<Array>} - Feeds ordered by creation time
+   */
+  async listFeeds() {
+    const data = await this.client.hvals(this.key);
+
+    return data
+      .map((feed) => JSON.parse(feed))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Get a feed by ID
+   * @param {string} feedId - Feed identifier
+   * @returns {Promise<Object|null>} - Feed or null if not found
+   */
+  async getFeed(feedId) {
+    const data = await this.client.hget(this.key, feedId);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Find a feed by its URL
+   * @param {string} url - Feed URL
+   * @returns {Promise<Object|null>} - Feed or null if not registered
+   */
+  async findFeedByUrl(url) {
+    const feeds = await this.listFeeds();
+    return feeds.find((feed) => feed.url === url) || null;
+  }
+
+  /**
+   * Register the initial feeds on the first run only, so feeds an admin
+   * deletes later don't come back on restart
+   * @param {Array<string>} urls - Feed URLs
+   * @returns {Promise<number>} - Number of feeds registered
+   */
+  async seedFeeds(urls) {
+    // SET NX, so only one of several instances starting together seeds
+    const firstRun = await this.client.set(
+      this.seededKey,
+      new Date().toISOString(),
+      "NX"
+    );
+    if (!firstRun) {
+      return 0;
+    }
+
+    let created = 0;
+    for (const url of urls) {
+      if (!(await this.findFeedByUrl(url))) {
+        await this.createFeed({ url });
+        created++;
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Register a new feed
+   * @param {Object} fields - { url, name, pollIntervalMinutes, enabled }
+   * @returns {Promise<Object>} - The created feed
+   */
+  async createFeed({ url, name, pollIntervalMinutes, enabled = true }) {
+    const now = new Date().toISOString();
+    const feed = {
+      id: uuidv4(),
+      url,
+      name: name || url,
+      pollIntervalMinutes:
+        pollIntervalMinutes || this.defaultPollIntervalMinutes,
+      enabled,
+      createdAt: now,
+      updatedAt: now,
+      lastPolledAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      lastItemCount: 0,
+      totalItemCount: 0,
+      lastJobId: null,
+    };
+
+    await this.client.hset(this.key, feed.id, JSON.stringify(feed));
+    return feed;
+  }
+
+  /**
+   * Update a feed's settings
+   * @param {string} feedId - Feed identifier
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} - Updated feed or null if not found
+   */
+  async updateFeed(feedId, changes) {
+    const feed = await this.getFeed(feedId);
+
+    if (!feed) {
+      return null;
+    }
+
+    const updated = {
+      ...feed,
+      ...changes,
+      id: feed.id,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.client.hset(this.key, feedId, JSON.stringify(updated));
+    return updated;
+  }
+
+  /**
+   * Remove a feed from the registry
+   * @param {string} feedId - Feed identifier
+   * @returns {Promise<boolean>} - Whether a feed was removed
+   */
+  async deleteFeed(feedId) {
+    const removed = await this.client.hdel(this.key, feedId);
+    return removed > 0;
+  }
+
+  /**
+   * Record the outcome of a poll
+   * @param {string} feedId - Feed identifier
+   * @param {Object} outcome - { error, itemCount, jobId }
+   * @returns {Promise<Object|null>} - Updated feed or null if it was deleted meanwhile
+   */
+  async recordPoll(feedId, { error, itemCount = 0, jobId = null }) {
+    const feed = await this.getFeed(feedId);
+
+    if (!feed) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const changes = { lastPolledAt: now };
+
+    if (error) {
+      changes.lastError = error;
+      changes.lastErrorAt = now;
+    } else {
+      changes.lastSuccessAt = now;
+      changes.lastError = null;
+      changes.lastItemCount = itemCount;
+      changes.totalItemCount = feed.totalItemCount + itemCount;
+      changes.lastJobId = jobId || feed.lastJobId;
+    }
+
+    // Written directly so polling doesn't bump updatedAt
+    const updated = { ...feed, ...changes };
+    await this.client.hset(this.key, feedId, JSON.stringify(updated));
+    return updated;
+  }
+}
+
+module.exports = {
+  RedisFeedRegistry,
+};
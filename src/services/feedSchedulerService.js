@@ -0,0 +1,162 @@
+// backend/src/services/feedSchedulerService.js
+
+/**
+ * Service that polls registered RSS feeds on their own intervals and queues
+ * the collected items for ingestion
+ */
+class FeedScheduler {
+  /**
+   * @param {Object} services - Required services
+   * @param {Object} services.feedRegistry - Feed registry
+   * @param {Object} services.collector - Object exposing collectArticles(config)
+   * @param {Object} services.ingestionQueue - Job queue that runs ingestion
+   * @param {Object} services.fetchState - Store of per-URL ETag/Last-Modified/last seen item (optional)
+   * @param {number} services.tickInterval - Milliseconds between due-feed checks (optional)
+   */
+  constructor(services) {
+    this.feedRegistry = services.feedRegistry;
+    this.collector = services.collector;
+    this.ingestionQueue = services.ingestionQueue;
+    this.fetchState = services.fetchState;
+    this.tickInterval = services.tickInterval || 60 * 1000; // 1 minute default
+
+    this.timer = null;
+    this.polling = new Set(); // IDs of feeds currently being polled
+  }
+
+  /**
+   * Start checking for due feeds
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.tick();
+    console.log("Feed scheduler started");
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Poll every enabled feed whose interval has elapsed
+   */
+  async tick() {
+    try {
+      const feeds = await this.feedRegistry.listFeeds();
+      const due = feeds.filter((feed) => this.isDue(feed));
+
+      for (const feed of due) {
+        await this.pollFeed(feed);
+      }
+    } catch (error) {
+      console.error("Feed scheduler tick failed:", error);
+    }
+  }
+
+  /**
+   * Whether a feed should be polled now
+   * @param {Object} feed - Feed record
+   * @returns {boolean} - True when enabled and its interval has elapsed
+   */
+  isDue(feed) {
+    if (!feed.enabled || this.isPolling(feed.id)) {
+      return false;
+    }
+
+    if (!feed.lastPolledAt) {
+      return true;
+    }
+
+    const elapsed = Date.now() - new Date(feed.lastPolledAt).getTime();
+    return elapsed >= feed.pollIntervalMinutes * 60 * 1000;
+  }
+
+  /**
+   * Whether a feed is being polled right now, by the schedule or on request
+   * @param {string} feedId - Feed identifier
+   * @returns {boolean} - True while a poll of the feed is in flight
+   */
+  isPolling(feedId) {
+    return this.polling.has(feedId);
+  }
+
+  /**
+   * Collect a feed's items and queue them for ingestion
+   * @param {Object} feed - Feed record
+   * @returns {Promise<Object|null>} - Updated feed record, or null when the
+   * feed was already being polled
+   */
+  async pollFeed(feed) {
+    if (this.isPolling(feed.id)) {
+      return null;
+    }
+
+    this.polling.add(feed.id);
+
+    try {
+      let feedError = null;
+      const fetchStates = [];
+      const articles = await this.collector.collectArticles({
+        rssSources: [feed.url],
+        fetchState: this.fetchState,
+        // Saved below, once the items are queued, so a failed enqueue
+        // collects them again on the next poll
+        onFetchState: (url, state) => fetchStates.push([url, state]),
+        onError: (source, error) => {
+          feedError = error.message;
+        },
+      });
+
+      if (feedError) {
+        return await this.feedRegistry.recordPoll(feed.id, {
+          error: feedError,
+        });
+      }
+
+      // Items without any text have nothing to embed
+      const ingestible = articles.filter(
+        (article) => article.content && article.content.trim()
+      );
+
+      let jobId = null;
+      if (ingestible.length > 0) {
+        const job = await this.ingestionQueue.enqueue({
+          articles: ingestible,
+        });
+        jobId = job.id;
+      }
+
+      if (this.fetchState) {
+        for (const [url, state] of fetchStates) {
+          await this.fetchState.set(url, state);
+        }
+      }
+
+      console.log(
+        `Polled feed ${feed.name}: ${ingestible.length} items queued for ingestion`
+      );
+
+      return await this.feedRegistry.recordPoll(feed.id, {
+        itemCount: ingestible.length,
+        jobId,
+      });
+    } catch (error) {
+      console.error(`Failed to poll feed ${feed.url}:`, error);
+      return this.feedRegistry.recordPoll(feed.id, { error: error.message });
+    } finally {
+      this.polling.delete(feed.id);
+    }
+  }
+}
+
+module.exports = {
+  FeedScheduler,
+};
@@ -0,0 +1,47 @@
+// backend/src/services/fetchStateService.js
+
+/**
+ * Service for remembering HTTP validators (ETag / Last-Modified) and the last
+ * seen item of each polled URL, kept in a Redis hash keyed by URL
+ */
+class RedisFetchStateStore {
+  /**
+   * @param {Object} config - Store configuration
+   * @param {Object} config.client - ioredis client
+   */
+  constructor(config) {
+    this.client = config.client;
+    this.key = config.key || "fetch_state";
+  }
+
+  /**
+   * Get the state recorded for a URL
+   * @param {string} url - Fetched URL
+   * @returns {Promise<Object|null>} - { etag, lastModified, lastSeenGuid, lastPubDate, fetchedAt }
+   */
+  async get(url) {
+    const data = await this.client.hget(this.key, url);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Record the state of a URL after a successful fetch
+   * @param {string} url - Fetched URL
+   * @param {Object} state - State to remember
+   */
+  async set(url, state) {
+    await this.client.hset(this.key, url, JSON.stringify(state));
+  }
+
+  /**
+   * Forget a URL so its next fetch is unconditional
+   * @param {string} url - Fetched URL
+   */
+  async delete(url) {
+    await this.client.hdel(this.key, url);
+  }
+}
+
+module.exports = {
+  RedisFetchStateStore,
+};
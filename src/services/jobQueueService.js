@@ -0,0 +1,306 @@
+// backend/src/services/jobQueueService.js
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * Redis-backed job queue with a single in-process worker
+ *
+ * Jobs are pushed onto a Redis list and moved to the worker's own processing
+ * list while they run. Workers refresh a heartbeat key; when one stops
+ * refreshing it (a crash or restart), a live worker puts its unfinished jobs
+ * back at the head of the queue.
+ */
+class RedisJobQueue {
+  /**
+   * @param {Object} config - Queue configuration
+   * @param {Object} config.client - ioredis client (a duplicate is used for blocking reads)
+   * @param {string} config.name - Queue name, used in Redis keys
+   * @param {Function} config.handler - async (payload, reportProgress) => result
+   * @param {number} config.jobTTL - Seconds to keep job records (optional)
+   * @param {number} config.heartbeatInterval - Milliseconds between heartbeats (optional)
+   */
+  constructor(config) {
+    this.client = config.client;
+    this.name = config.name || "default";
+    this.handler = config.handler;
+    this.jobTTL = config.jobTTL || 86400; // 24 hours default
+    this.pollTimeout = config.pollTimeout || 5; // seconds per blocking read
+
+    this.heartbeatInterval = config.heartbeatInterval || 10 * 1000;
+
+    this.workerId = uuidv4();
+    this.queueKey = `jobs:${this.name}:queue`;
+    this.workersKey = `jobs:${this.name}:workers`;
+    this.processingKey = this._processingKey(this.workerId);
+    this.workerClient = null;
+    this.heartbeatTimer = null;
+    this.running = false;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} payload - Data passed to the handler
+   * @returns {Promise<Object>} - The queued job record
+   */
+  async enqueue(payload) {
+    const job = {
+      id: uuidv4(),
+      queue: this.name,
+      status: "queued",
+      progress: {},
+      errors: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    await this.client
+      .multi()
+      .setex(this._jobKey(job.id), this.jobTTL, JSON.stringify(job))
+      .setex(this._payloadKey(job.id), this.jobTTL, JSON.stringify(payload))
+      .lpush(this.queueKey, job.id)
+      .exec();
+
+    return job;
+  }
+
+  /**
+   * Get a job record
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Object|null>} - Job or null if not found/expired
+   */
+  async getJob(jobId) {
+    const data = await this.client.get(this._jobKey(jobId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Start the worker loop
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    // Blocking reads would stall every other command on a shared connection
+    this.workerClient = this.client.duplicate();
+
+    await this._heartbeat();
+    await this._recoverJobs();
+
+    // Keep this worker alive and pick up the jobs of workers that died
+    this.heartbeatTimer = setInterval(() => {
+      this._heartbeat()
+        .then(() => this._recoverJobs())
+        .catch((error) =>
+          console.error(`Job queue ${this.name} heartbeat failed:`, error)
+        );
+    }, this.heartbeatInterval);
+
+    this._loop().catch((error) => {
+      console.error(`Job queue ${this.name} stopped unexpectedly:`, error);
+      // Stop heartbeating too, so other workers recover this one's jobs
+      this.stop();
+    });
+
+    console.log(`Job queue ${this.name} started`);
+  }
+
+  /**
+   * Stop the worker loop after the current job
+   */
+  async stop() {
+    this.running = false;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    if (this.workerClient) {
+      this.workerClient.disconnect();
+      this.workerClient = null;
+    }
+  }
+
+  /**
+   * Wait for jobs and process them one at a time
+   */
+  async _loop() {
+    while (this.running) {
+      let jobId;
+
+      try {
+        jobId = await this.workerClient.brpoplpush(
+          this.queueKey,
+          this.processingKey,
+          this.pollTimeout
+        );
+      } catch (error) {
+        if (!this.running) {
+          return;
+        }
+        console.error(`Job queue ${this.name} read failed:`, error.message);
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        continue;
+      }
+
+      if (jobId) {
+        try {
+          await this._process(jobId);
+        } catch (error) {
+          // Usually a transient Redis error; keep taking the next jobs
+          console.error(`Job ${jobId} could not be processed:`, error);
+          await this._updateJob(jobId, {
+            status: "failed",
+            error: error.message,
+            finishedAt: new Date().toISOString(),
+          }).catch(() => {});
+        }
+
+        await this.client.lrem(this.processingKey, 1, jobId).catch((error) => {
+          console.error(
+            `Job queue ${this.name} could not release job ${jobId}:`,
+            error.message
+          );
+        });
+      }
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   * @param {string} jobId - Job identifier
+   */
+  async _process(jobId) {
+    const payloadData = await this.client.get(this._payloadKey(jobId));
+
+    if (!payloadData) {
+      console.warn(`Skipping job ${jobId}: payload expired`);
+      return;
+    }
+
+    await this._updateJob(jobId, {
+      status: "running",
+      startedAt: new Date().toISOString(),
+    });
+
+    try {
+      const result = await this.handler(
+        JSON.parse(payloadData),
+        (progress, errors = []) => this._updateJob(jobId, { progress, errors })
+      );
+
+      await this._updateJob(jobId, {
+        status: "completed",
+        result,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(`Job ${jobId} failed:`, error);
+      await this._updateJob(jobId, {
+        status: "failed",
+        error: error.message,
+        finishedAt: new Date().toISOString(),
+      });
+    } finally {
+      await this.client.del(this._payloadKey(jobId));
+    }
+  }
+
+  /**
+   * Mark this worker as alive for three heartbeat intervals
+   */
+  async _heartbeat() {
+    await this.client
+      .multi()
+      .set(
+        this._heartbeatKey(this.workerId),
+        Date.now(),
+        "PX",
+        this.heartbeatInterval * 3
+      )
+      .sadd(this.workersKey, this.workerId)
+      .exec();
+  }
+
+  /**
+   * Requeue the unfinished jobs of workers whose heartbeat has expired
+   */
+  async _recoverJobs() {
+    const workerIds = await this.client.smembers(this.workersKey);
+
+    for (const workerId of workerIds) {
+      if (
+        workerId === this.workerId ||
+        (await this.client.exists(this._heartbeatKey(workerId)))
+      ) {
+        continue;
+      }
+
+      // Removing the worker claims its jobs, so only one live worker requeues them
+      if (await this.client.srem(this.workersKey, workerId)) {
+        await this._requeue(this._processingKey(workerId));
+      }
+    }
+  }
+
+  /**
+   * Move the jobs of a processing list to the head of the queue, oldest first
+   * @param {string} processingKey - Processing list of a dead worker
+   */
+  async _requeue(processingKey) {
+    const jobIds = await this.client.lrange(processingKey, 0, -1);
+
+    if (jobIds.length === 0) {
+      return;
+    }
+
+    // Workers pop from the right; the oldest job is last in the list
+    await this.client
+      .multi()
+      .rpush(this.queueKey, ...jobIds)
+      .del(processingKey)
+      .exec();
+
+    console.log(`Job queue ${this.name} requeued ${jobIds.length} jobs`);
+  }
+
+  /**
+   * Merge fields into a job record
+   * @param {string} jobId - Job identifier
+   * @param {Object} changes - Fields to update
+   */
+  async _updateJob(jobId, changes) {
+    const job = await this.getJob(jobId);
+
+    if (!job) {
+      return;
+    }
+
+    await this.client.setex(
+      this._jobKey(jobId),
+      this.jobTTL,
+      JSON.stringify({ ...job, ...changes })
+    );
+  }
+
+  _processingKey(workerId) {
+    return `jobs:${this.name}:processing:${workerId}`;
+  }
+
+  _heartbeatKey(workerId) {
+    return `jobs:${this.name}:worker:${workerId}`;
+  }
+
+  _jobKey(jobId) {
+    return `job:${jobId}`;
+  }
+
+  _payloadKey(jobId) {
+    return `job:${jobId}:payload`;
+  }
+}
+
+module.exports = {
+  RedisJobQueue,
+};
@@ -1,5 +1,9 @@
 // backend/src/services/llmService.js
+const axios = require("axios");
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { formatNumberedContext } = require("../rag/citations");
+const { formatHistory } = require("../rag/historyFormatter");
+const { renderTemplate } = require("../rag/promptTemplates");
 
 /**
  * Service for interacting with the Gemini API
@@ -14,55 +18,48 @@ class GeminiService {
     this.modelName = config.modelName || "gemini-pro";
     this.genAI = new GoogleGenerativeAI(this.apiKey);
     this.model = this.genAI.getGenerativeModel({ model: this.modelName });
+    this.historyTokenBudget = config.historyTokenBudget;
   }
 
   /**
-   * Generate a response based on retrieved content and user query
-   * @param {string} query - User's question
-   * @param {Array} retrievedDocs - Retrieved documents from vector store
-   * @param {Array} chatHistory - Previous conversation history
-   * @returns {Promise<string>} - Generated response
+   * Generate a plain completion for a single prompt, without chat history
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { temperature, maxOutputTokens } (optional)
+   * @returns {Promise<string>} - Generated text
    */
-  async generateResponse(query, retrievedDocs, chatHistory = []) {
+  async generateText(prompt, options = {}) {
     try {
-      // Format retrieved documents as context
-      const context = retrievedDocs
-        .map(
-          (doc) => `Source: ${doc.metadata.title} (${doc.metadata.source})
-Content: ${doc.text}`
-        )
-        .join("\n\n");
-
-      // Format chat history
-      const formattedHistory = chatHistory.map((msg) => ({
-        role: msg.role,
-        parts: [{ text: msg.content }],
-      }));
-
-      // Create a chat session
-      const chat = this.model.startChat({
-        history: formattedHistory,
+      const result = await this.model.generateContent({
+        contents: [{ role: "user", parts: [{ text: prompt }] }],
         generationConfig: {
-          temperature: 0.4,
-          topP: 0.95,
-          topK: 40,
-          maxOutputTokens: 1024,
+          temperature: options.temperature ?? 0.4,
+          maxOutputTokens: options.maxOutputTokens || 1024,
         },
       });
 
-      // Create the prompt with context and query
-      const prompt = `
-You are a helpful assistant that answers questions based on provided context.
-Please only use the information from the provided news articles to answer the question. 
-If the information is not in the context, say that you don't know based on the available articles.
-
-CONTEXT:
-${context}
-
-QUESTION:
-${query}
+      return result.response.text();
+    } catch (error) {
+      console.error("Failed to generate text from Gemini:", error);
+      throw new Error(`Gemini API error: ${error.message}`);
+    }
+  }
 
-Please provide a concise, accurate answer based solely on the context. Include sources where appropriate.`;
+  /**
+   * Generate a response based on retrieved content and user query
+   * @param {string} query - User's question
+   * @param {Array} retrievedDocs - Retrieved documents from vector store
+   * @param {Array} chatHistory - Previous conversation history
+   * @param {Object} options - { template } prompt template to answer with
+   * @returns {Promise<string>} - Generated response
+   */
+  async generateResponse(query, retrievedDocs, chatHistory = [], options = {}) {
+    try {
+      const { chat, prompt } = this._startChat(
+        query,
+        retrievedDocs,
+        chatHistory,
+        options.template
+      );
 
       // Generate the response
       const result = await chat.sendMessage(prompt);
@@ -80,48 +77,22 @@ Please provide a concise, accurate answer based solely on the context. Include s
    * @param {string} query - User's question
    * @param {Array} retrievedDocs - Retrieved documents from vector store
    * @param {Array} chatHistory - Previous conversation history
+   * @param {Object} options - { template } prompt template to answer with
    * @returns {AsyncGenerator} - Stream of response chunks
    */
-  async *generateStreamingResponse(query, retrievedDocs, chatHistory = []) {
+  async *generateStreamingResponse(
+    query,
+    retrievedDocs,
+    chatHistory = [],
+    options = {}
+  ) {
     try {
-      // Format retrieved documents as context
-      const context = retrievedDocs
-        .map(
-          (doc) => `Source: ${doc.metadata.title} (${doc.metadata.source})
-Content: ${doc.text}`
-        )
-        .join("\n\n");
-
-      // Format chat history
-      const formattedHistory = chatHistory.map((msg) => ({
-        role: msg.role,
-        parts: [{ text: msg.content }],
-      }));
-
-      // Create a chat session
-      const chat = this.model.startChat({
-        history: formattedHistory,
-        generationConfig: {
-          temperature: 0.4,
-          topP: 0.95,
-          topK: 40,
-          maxOutputTokens: 1024,
-        },
-      });
-
-      // Create the prompt with context and query
-      const prompt = `
-You are a helpful assistant that answers questions based on provided context.
-Please only use the information from the provided news articles to answer the question. 
-If the information is not in the context, say that you don't know based on the available articles.
-
-CONTEXT:
-${context}
-
-QUESTION:
-${query}
-
-Please provide a concise, accurate answer based solely on the context. Include sources where appropriate.`;
+      const { chat, prompt } = this._startChat(
+        query,
+        retrievedDocs,
+        chatHistory,
+        options.template
+      );
 
       // Generate the streaming response
       const result = await chat.sendMessageStream(prompt);
@@ -140,8 +111,291 @@ Please provide a concise, accurate answer based solely on the context. Include s
       throw new Error(`Gemini API streaming error: ${error.message}`);
     }
   }
+
+  /**
+   * Start a chat session on the formatted history and build the prompt
+   * @param {string} query - User's question
+   * @param {Array} retrievedDocs - Retrieved documents from vector store
+   * @param {Array} chatHistory - Stored conversation history
+   * @param {Object} template - Prompt template
+   * @returns {Object} - { chat, prompt }
+   */
+  _startChat(query, retrievedDocs, chatHistory, template) {
+    const history = formatHistory(chatHistory, {
+      provider: "gemini",
+      currentMessage: query,
+      tokenBudget: this.historyTokenBudget,
+    });
+    let prompt = buildPrompt(query, retrievedDocs, template);
+
+    // Turns must alternate, so an unanswered user turn (e.g. the summary of
+    // older turns, or a question whose answer failed) goes into the prompt
+    if (history.length > 0 && history[history.length - 1].role === "user") {
+      prompt = `${history.pop().content}\n\n${prompt}`;
+    }
+
+    const chat = this.model.startChat({
+      history: history.map((msg) => ({
+        role: msg.role,
+        parts: [{ text: msg.content }],
+      })),
+      generationConfig: {
+        temperature: 0.4,
+        topP: 0.95,
+        topK: 40,
+        maxOutputTokens: 1024,
+      },
+    });
+
+    return { chat, prompt };
+  }
+}
+
+/**
+ * Service for any OpenAI-compatible chat completions endpoint (OpenAI,
+ * llama.cpp server, Ollama, vLLM...)
+ */
+class OpenAICompatibleLLMService {
+  /**
+   * @param {Object} config - { apiUrl, apiKey, modelName, temperature, maxTokens, timeout }
+   */
+  constructor(config = {}) {
+    this.apiUrl = (config.apiUrl || "http://localhost:11434/v1").replace(
+      /\/+$/,
+      ""
+    );
+    this.apiKey = config.apiKey;
+    this.modelName = config.modelName || "llama3.1";
+    this.temperature = config.temperature ?? 0.4;
+    this.maxTokens = config.maxTokens || 1024;
+    this.timeout = config.timeout || 120000;
+    this.historyTokenBudget = config.historyTokenBudget;
+  }
+
+  /**
+   * Generate a plain completion for a single prompt, without chat history
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { temperature, maxOutputTokens } (optional)
+   * @returns {Promise<string>} - Generated text
+   */
+  async generateText(prompt, options = {}) {
+    try {
+      const response = await this._request({
+        messages: [{ role: "user", content: prompt }],
+        temperature: options.temperature ?? this.temperature,
+        max_tokens: options.maxOutputTokens || this.maxTokens,
+      });
+
+      return response.data.choices[0].message.content || "";
+    } catch (error) {
+      console.error(
+        "Failed to generate text from chat endpoint:",
+        error.response?.data || error.message
+      );
+      throw new Error(`Chat completion error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate a response based on retrieved content and user query
+   * @param {string} query - User's question
+   * @param {Array} retrievedDocs - Retrieved documents from vector store
+   * @param {Array} chatHistory - Previous conversation history
+   * @param {Object} options - { template } prompt template to answer with
+   * @returns {Promise<string>} - Generated response
+   */
+  async generateResponse(query, retrievedDocs, chatHistory = [], options = {}) {
+    try {
+      const response = await this._request({
+        messages: this._buildMessages(
+          query,
+          retrievedDocs,
+          chatHistory,
+          options.template
+        ),
+      });
+
+      return response.data.choices[0].message.content || "";
+    } catch (error) {
+      console.error(
+        "Failed to generate response from chat endpoint:",
+        error.response?.data || error.message
+      );
+      throw new Error(`Chat completion error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate a streaming response (for real-time chat UI)
+   * @param {string} query - User's question
+   * @param {Array} retrievedDocs - Retrieved documents from vector store
+   * @param {Array} chatHistory - Previous conversation history
+   * @param {Object} options - { template } prompt template to answer with
+   * @returns {AsyncGenerator} - Stream of response chunks
+   */
+  async *generateStreamingResponse(
+    query,
+    retrievedDocs,
+    chatHistory = [],
+    options = {}
+  ) {
+    try {
+      const response = await this._request(
+        {
+          messages: this._buildMessages(
+            query,
+            retrievedDocs,
+            chatHistory,
+            options.template
+          ),
+          stream: true,
+        },
+        { responseType: "stream" }
+      );
+
+      for await (const data of readServerSentEvents(response.data)) {
+        if (data === "[DONE]") {
+          return;
+        }
+
+        const delta = JSON.parse(data).choices[0]?.delta?.content;
+        if (delta) {
+          yield delta;
+        }
+      }
+    } catch (error) {
+      console.error(
+        "Failed to generate streaming response from chat endpoint:",
+        error.message
+      );
+      throw new Error(`Chat completion streaming error: ${error.message}`);
+    }
+  }
+
+  _buildMessages(query, retrievedDocs, chatHistory, template) {
+    return [
+      ...formatHistory(chatHistory, {
+        provider: "openai",
+        currentMessage: query,
+        tokenBudget: this.historyTokenBudget,
+      }),
+      { role: "user", content: buildPrompt(query, retrievedDocs, template) },
+    ];
+  }
+
+  async _request(body, options = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    return axios.post(
+      `${this.apiUrl}/chat/completions`,
+      {
+        model: this.modelName,
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        ...body,
+      },
+      { headers, timeout: this.timeout, ...options }
+    );
+  }
+}
+
+/**
+ * Deterministic LLM for tests, CI and offline development: answers by echoing
+ * the retrieved context, citing each document with its [n] marker
+ */
+class MockLLMService {
+  /**
+   * Return an empty completion, so callers fall back to their defaults
+   * (e.g. the query rewriter keeps the original message)
+   * @returns {Promise<string>} - Empty string
+   */
+  async generateText() {
+    return "";
+  }
+
+  /**
+   * Generate a response based on retrieved content and user query
+   * @param {string} query - User's question
+   * @param {Array} retrievedDocs - Retrieved documents
+   * @returns {Promise<string>} - Echo of the context
+   */
+  async generateResponse(query, retrievedDocs) {
+    const lines = retrievedDocs.map((doc, i) => {
+      const excerpt = doc.text.replace(/\s+/g, " ").trim().slice(0, 200);
+      return `- ${doc.metadata.title || "Untitled"}: ${excerpt} [${i + 1}]`;
+    });
+
+    return [
+      `Mock answer to "${query}" from ${retrievedDocs.length} article(s):`,
+      ...lines,
+    ].join("\n");
+  }
+
+  /**
+   * Stream the same echo word by word
+   * @param {string} query - User's question
+   * @param {Array} retrievedDocs - Retrieved documents
+   * @returns {AsyncGenerator} - Stream of response chunks
+   */
+  async *generateStreamingResponse(query, retrievedDocs) {
+    const response = await this.generateResponse(query, retrievedDocs);
+
+    for (const chunk of response.match(/\S+\s*/g) || []) {
+      yield chunk;
+    }
+  }
+}
+
+/**
+ * Read the `data:` payloads of a server-sent events stream
+ * @param {Object} stream - Readable stream of the response body
+ * @returns {AsyncGenerator} - Data payloads as strings
+ */
+async function* readServerSentEvents(stream) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+
+      if (line.startsWith("data:")) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+}
+
+/**
+ * Render the answer prompt shared by all providers
+ * @param {string} query - User's question
+ * @param {Array} retrievedDocs - Retrieved documents, numbered for [n] citations
+ * @param {Object} template - Prompt template ({ body }) with context/question/date variables
+ * @returns {string} - Prompt text
+ */
+function buildPrompt(query, retrievedDocs, template) {
+  if (!template) {
+    throw new Error("A prompt template is required to answer");
+  }
+
+  return renderTemplate(template.body, {
+    // Number retrieved documents so the answer can cite them as [n]
+    context: formatNumberedContext(retrievedDocs),
+    question: query,
+    date: new Date().toISOString().slice(0, 10),
+  });
 }
 
 module.exports = {
   GeminiService,
+  OpenAICompatibleLLMService,
+  MockLLMService,
+  buildPrompt,
 };
@@ -0,0 +1,338 @@
+// backend/src/services/persistenceService.js
+const { Sequelize } = require("sequelize");
+const { defineChatModels } = require("../models/chatSession");
+const { definePromptTemplateModel } = require("../models/promptTemplate");
+const { runMigrations } = require("../migrations");
+
+/**
+ * Service for persisting chat sessions and messages in PostgreSQL
+ */
+class SqlPersistenceService {
+  /**
+   * Initialize Sequelize and the chat models
+   * @param {Object} config - Database configuration
+   */
+  constructor(config = {}) {
+    this.sequelize = new Sequelize(
+      config.database || "news_rag",
+      config.username || "postgres",
+      config.password,
+      {
+        host: config.host || "localhost",
+        port: config.port || 5432,
+        dialect: "postgres",
+        logging: config.logging ? console.log : false,
+      }
+    );
+
+    const { ChatSession, ChatMessage } = defineChatModels(this.sequelize);
+    this.ChatSession = ChatSession;
+    this.ChatMessage = ChatMessage;
+    this.PromptTemplate = definePromptTemplateModel(
+      this.sequelize
+    ).PromptTemplate;
+  }
+
+  /**
+   * Connect to the database, add the columns existing tables are missing and
+   * create missing tables
+   */
+  async initialize() {
+    try {
+      await this.sequelize.authenticate();
+      // Before sync(), which indexes the new columns
+      await runMigrations(this.sequelize.getQueryInterface());
+      await this.sequelize.sync();
+      console.log("Connected to PostgreSQL");
+    } catch (error) {
+      console.error("Failed to initialize persistence:", error);
+      throw new Error(`PostgreSQL initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a new, empty chat session
+   * @param {string} sessionId - Unique session identifier
+   * @param {string} userId - Owner's user ID
+   * @param {Object} settings - { promptTemplate } (optional)
+   */
+  async createSession(sessionId, userId, settings = {}) {
+    await this.ChatSession.findOrCreate({
+      where: { id: sessionId },
+      defaults: { userId, promptTemplate: settings.promptTemplate || null },
+    });
+  }
+
+  /**
+   * Get a session's settings
+   * @param {string} sessionId - Unique session identifier
+   * @returns {Promise<Object|null>} - { promptTemplate } or null if not found
+   */
+  async getSessionSettings(sessionId) {
+    const session = await this.ChatSession.findByPk(sessionId, {
+      attributes: ["promptTemplate"],
+    });
+
+    return session ? { promptTemplate: session.promptTemplate } : null;
+  }
+
+  /**
+   * Set a session's title
+   * @param {string} sessionId - Unique session identifier
+   * @param {string} title - Session title
+   * @param {Object} options - { overwrite: false } keeps an existing title
+   * @returns {Promise<boolean>} - Whether a session was updated
+   */
+  async setSessionTitle(sessionId, title, { overwrite = true } = {}) {
+    const where = overwrite
+      ? { id: sessionId }
+      : { id: sessionId, title: null };
+    const [updated] = await this.ChatSession.update({ title }, { where });
+
+    return updated > 0;
+  }
+
+  /**
+   * Get a session's title, timestamps and active branch
+   * @param {string} sessionId - Unique session identifier
+   * @returns {Promise<Object|null>} - { title, createdAt, lastActivityAt, headId } or null if not found
+   */
+  async getSessionMetadata(sessionId) {
+    const session = await this.ChatSession.findByPk(sessionId, {
+      attributes: ["title", "createdAt", "lastMessageAt", "headMessageId"],
+    });
+
+    if (!session) {
+      return null;
+    }
+
+    return {
+      title: session.title,
+      createdAt: session.createdAt.toISOString(),
+      lastActivityAt: (
+        session.lastMessageAt || session.createdAt
+      ).toISOString(),
+      headId: session.headMessageId,
+    };
+  }
+
+  /**
+   * Get the user ID that owns a session
+   * @param {string} sessionId - Unique session identifier
+   * @returns {Promise<string|null>} - Owner's user ID or null if not found
+   */
+  async getSessionOwner(sessionId) {
+    const session = await this.ChatSession.findByPk(sessionId, {
+      attributes: ["userId"],
+    });
+
+    return session ? session.userId : null;
+  }
+
+  /**
+   * Store a chat message, creating its session if needed
+   * @param {string} sessionId - Unique session identifier
+   * @param {Object} message - Chat message ({ id, parentId, role, content, sources, citations, promptTemplate, timestamp })
+   */
+  async saveChatMessage(sessionId, message) {
+    const timestamp = message.timestamp
+      ? new Date(message.timestamp)
+      : new Date();
+
+    await this.sequelize.transaction(async (transaction) => {
+      const [session] = await this.ChatSession.findOrCreate({
+        where: { id: sessionId },
+        transaction,
+      });
+
+      await this.ChatMessage.create(
+        {
+          sessionId,
+          messageId: message.id || null,
+          parentId: message.parentId || null,
+          role: message.role,
+          content: message.content,
+          sources: message.sources || [],
+          citations: message.citations || [],
+          promptTemplate: message.promptTemplate || null,
+          timestamp,
+        },
+        { transaction }
+      );
+
+      await session.update(
+        {
+          lastMessageAt: timestamp,
+          headMessageId: message.id || session.headMessageId,
+        },
+        { transaction }
+      );
+    });
+  }
+
+  /**
+   * List a user's sessions, most recently active first
+   * @param {Object} options - { userId, limit, offset }
+   * @returns {Promise<Object>} - { total, sessions }
+   */
+  async listSessions({ userId, limit = 20, offset = 0 } = {}) {
+    const { count, rows } = await this.ChatSession.findAndCountAll({
+      where: { userId },
+      attributes: {
+        include: [
+          [
+            Sequelize.literal(
+              '(SELECT COUNT(*) FROM chat_messages WHERE chat_messages.session_id = "ChatSession".id)'
+            ),
+            "messageCount",
+          ],
+        ],
+      },
+      order: [
+        [
+          Sequelize.fn(
+            "COALESCE",
+            Sequelize.col("last_message_at"),
+            Sequelize.col("created_at")
+          ),
+          "DESC",
+        ],
+      ],
+      limit,
+      offset,
+    });
+
+    return {
+      total: count,
+      sessions: rows.map((session) => ({
+        sessionId: session.id,
+        title: session.title,
+        messageCount: parseInt(session.get("messageCount")) || 0,
+        createdAt: session.createdAt,
+        lastMessageAt: session.lastMessageAt,
+      })),
+    };
+  }
+
+  /**
+   * Get a page of messages for a session in chronological order
+   * @param {string} sessionId - Unique session identifier
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object|null>} - { total, messages } or null if the session doesn't exist
+   */
+  async getSessionMessages(sessionId, { limit, offset = 0 } = {}) {
+    const session = await this.ChatSession.findByPk(sessionId);
+
+    if (!session) {
+      return null;
+    }
+
+    const { count, rows } = await this.ChatMessage.findAndCountAll({
+      where: { sessionId },
+      order: [
+        ["timestamp", "ASC"],
+        ["id", "ASC"],
+      ],
+      limit,
+      offset,
+    });
+
+    return {
+      total: count,
+      messages: rows.map((row) => this._toMessage(row)),
+    };
+  }
+
+  /**
+   * Remove all messages from a session but keep the session itself
+   * @param {string} sessionId - Unique session identifier
+   */
+  async clearSessionMessages(sessionId) {
+    await this.ChatMessage.destroy({ where: { sessionId } });
+    await this.ChatSession.update(
+      { lastMessageAt: null, headMessageId: null },
+      { where: { id: sessionId } }
+    );
+  }
+
+  /**
+   * Delete a session and all of its messages
+   * @param {string} sessionId - Unique session identifier
+   * @returns {Promise<boolean>} - Whether a session was deleted
+   */
+  async deleteSession(sessionId) {
+    const deleted = await this.sequelize.transaction(async (transaction) => {
+      await this.ChatMessage.destroy({ where: { sessionId }, transaction });
+      return this.ChatSession.destroy({
+        where: { id: sessionId },
+        transaction,
+      });
+    });
+
+    return deleted > 0;
+  }
+
+  /**
+   * Convert a message row to the shape stored in Redis
+   * @param {Object} row - ChatMessage instance
+   * @returns {Object} - Chat message
+   */
+  _toMessage(row) {
+    const message = {
+      role: row.role,
+      content: row.content,
+      timestamp: row.timestamp.toISOString(),
+    };
+
+    // Messages stored before IDs existed get theirs from normalizeMessages
+    if (row.messageId) {
+      message.id = row.messageId;
+      message.parentId = row.parentId;
+    }
+
+    if (row.role === "assistant") {
+      message.sources = row.sources;
+      message.citations = row.citations;
+      message.promptTemplate = row.promptTemplate;
+    }
+
+    return message;
+  }
+
+  /**
+   * List stored prompt templates
+   * @returns {Promise<Array>} - Templates ({ name, version, body, description })
+   */
+  async listPromptTemplates() {
+    const rows = await this.PromptTemplate.findAll({
+      order: [
+        ["name", "ASC"],
+        ["version", "ASC"],
+      ],
+    });
+
+    return rows.map((row) => row.get({ plain: true }));
+  }
+
+  /**
+   * Store a prompt template version
+   * @param {Object} template - { name, version, body, description }
+   * @returns {Promise<Object>} - The stored template
+   */
+  async createPromptTemplate(template) {
+    const row = await this.PromptTemplate.create(template);
+    return row.get({ plain: true });
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    await this.sequelize.close();
+    console.log("PostgreSQL connection closed");
+  }
+}
+
+module.exports = {
+  SqlPersistenceService,
+};
@@ -0,0 +1,209 @@
+// backend/src/services/promptTemplateService.js
+const fs = require("fs/promises");
+const path = require("path");
+const {
+  parseTemplateRef,
+  formatTemplateId,
+  findMissingVariables,
+} = require("../rag/promptTemplates");
+
+// Attempts at numbering a new version when concurrent creates collide
+const CREATE_ATTEMPTS = 3;
+
+/**
+ * Service for the versioned prompt templates used to answer chat messages
+ *
+ * Templates ship as files (`<directory>/<name>/v<version>.txt`) and can be
+ * added at runtime in PostgreSQL, where new versions continue the numbering
+ * of the bundled ones.
+ */
+class PromptTemplateService {
+  /**
+   * @param {Object} config - Service configuration
+   * @param {string} config.directory - Directory holding the bundled templates
+   * @param {Object} config.persistenceService - SQL persistence for runtime templates (optional)
+   * @param {string} config.defaultTemplate - Reference used when none is selected (optional)
+   * @param {number} config.refreshInterval - Milliseconds stored templates are cached (optional)
+   */
+  constructor(config) {
+    this.directory = config.directory;
+    this.persistenceService = config.persistenceService;
+    this.defaultTemplate = config.defaultTemplate || "default";
+    this.refreshInterval = config.refreshInterval || 60 * 1000; // 1 minute default
+    this.fileTemplates = [];
+
+    // Database templates, reloaded after refreshInterval so other instances'
+    // additions show up without a query per chat turn
+    this.storedTemplates = [];
+    this.storedLoadedAt = 0;
+  }
+
+  /**
+   * Load the bundled templates and check the default one resolves
+   */
+  async initialize() {
+    this.fileTemplates = await loadTemplateFiles(this.directory);
+
+    const fallback = await this.resolve(this.defaultTemplate);
+    if (!fallback) {
+      throw new Error(
+        `Default prompt template "${this.defaultTemplate}" not found`
+      );
+    }
+
+    console.log(
+      `Loaded ${this.fileTemplates.length} prompt templates (default: ${fallback.id})`
+    );
+  }
+
+  /**
+   * Find a template by reference
+   * @param {string} ref - "name", "name@v3" or "name@3"; the default when empty
+   * @returns {Promise<Object|null>} - { id, name, version, body, origin } or null if not found
+   */
+  async resolve(ref) {
+    const parsed = parseTemplateRef(ref || this.defaultTemplate);
+
+    if (!parsed) {
+      return null;
+    }
+
+    const candidates = (await this.listTemplates()).filter(
+      (template) =>
+        template.name === parsed.name &&
+        (parsed.version === null || template.version === parsed.version)
+    );
+
+    // Highest version wins when no version was requested
+    return candidates.sort((a, b) => b.version - a.version)[0] || null;
+  }
+
+  /**
+   * List every available template version
+   * @returns {Promise<Array>} - Templates from files and the database
+   */
+  async listTemplates() {
+    if (
+      this.persistenceService &&
+      Date.now() - this.storedLoadedAt >= this.refreshInterval
+    ) {
+      await this._loadStoredTemplates();
+    }
+
+    return [...this.fileTemplates, ...this.storedTemplates];
+  }
+
+  /**
+   * Store a new version of a template in the database
+   *
+   * The version is the latest one plus one; when a concurrent create takes
+   * that number first, the templates are reloaded and the next number tried.
+   * @param {Object} fields - { name, body, description }
+   * @returns {Promise<Object>} - The created template
+   * @throws {Error} - The UniqueConstraintError when every attempt collided
+   */
+  async createTemplate({ name, body, description }) {
+    if (!this.persistenceService) {
+      throw new Error("Storing prompt templates requires PostgreSQL");
+    }
+
+    const missing = findMissingVariables(body);
+    if (missing.length > 0) {
+      throw new Error(`Template must use {{${missing.join("}}, {{")}}}`);
+    }
+
+    const normalizedName = name.toLowerCase();
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await this.resolve(normalizedName);
+
+      try {
+        const stored = await this.persistenceService.createPromptTemplate({
+          name: normalizedName,
+          version: latest ? latest.version + 1 : 1,
+          body,
+          description,
+        });
+
+        await this._loadStoredTemplates();
+        return toTemplate(stored, "database");
+      } catch (error) {
+        if (
+          error.name !== "SequelizeUniqueConstraintError" ||
+          attempt >= CREATE_ATTEMPTS
+        ) {
+          throw error;
+        }
+
+        await this._loadStoredTemplates();
+      }
+    }
+  }
+
+  async _loadStoredTemplates() {
+    const stored = await this.persistenceService.listPromptTemplates();
+
+    this.storedTemplates = stored.map((template) =>
+      toTemplate(template, "database")
+    );
+    this.storedLoadedAt = Date.now();
+  }
+}
+
+/**
+ * Read `<name>/v<version>.txt` files below a directory
+ * @param {string} directory - Templates directory
+ * @returns {Promise<Array>} - File templates
+ */
+async function loadTemplateFiles(directory) {
+  const templates = [];
+  const names = await fs.readdir(directory, { withFileTypes: true });
+
+  for (const entry of names.filter((e) => e.isDirectory())) {
+    const files = await fs.readdir(path.join(directory, entry.name));
+
+    for (const file of files) {
+      const match = /^v(\d+)\.txt$/.exec(file);
+      if (!match) {
+        continue;
+      }
+
+      const body = await fs.readFile(
+        path.join(directory, entry.name, file),
+        "utf8"
+      );
+      const missing = findMissingVariables(body);
+      if (missing.length > 0) {
+        throw new Error(
+          `Prompt template ${entry.name}/${file} is missing {{${missing.join(
+            "}}, {{"
+          )}}}`
+        );
+      }
+
+      templates.push(
+        toTemplate(
+          { name: entry.name.toLowerCase(), version: parseInt(match[1]), body },
+          "file"
+        )
+      );
+    }
+  }
+
+  return templates;
+}
+
+function toTemplate(template, origin) {
+  return {
+    id: formatTemplateId(template),
+    name: template.name,
+    version: template.version,
+    body: template.body,
+    description: template.description || null,
+    origin,
+  };
+}
+
+module.exports = {
+  PromptTemplateService,
+};
@@ -1,14 +1,22 @@
 // backend/src/services/ragService.js
-const { embeddingService } = require("../app");
+const crypto = require("crypto");
 const ChunkerService = require("./chunkerService");
 
 /**
  * Service for handling RAG (Retrieval Augmented Generation) functionality
  */
 class RAGService {
-  constructor(embeddingService, vectorStore) {
-    this.embeddingService = embeddingService;
-    this.vectorStore = vectorStore;
+  /**
+   * Initialize with required services
+   * @param {Object} services - { collector, processor, embeddingService, vectorStoreService, retriever, answerCache }
+   */
+  constructor(services) {
+    this.collector = services.collector;
+    this.processor = services.processor;
+    this.embeddingService = services.embeddingService;
+    this.vectorStore = services.vectorStoreService;
+    this.retriever = services.retriever;
+    this.answerCache = services.answerCache; // Optional, invalidated on ingestion
     this.chunkerService = new ChunkerService({
       maxChunkSize: 6000, // characters, which should be ~1500 tokens
       overlap: 200,
@@ -16,99 +24,116 @@ class RAGService {
   }
 
   /**
-   * Ingest articles into the vector store
-   * @param {Array<Object>} articles - Array of article objects
+   * Ingest articles into the vector store, one article at a time so a bad
+   * article doesn't sink the whole batch. Unchanged articles are skipped and
+   * changed ones have their old chunks replaced.
+   * @param {Object} config - { articles }
+   * @param {Function} onProgress - Called with (progress, errors) after each article
    * @returns {Promise<Object>} - Result of the ingestion
    */
-  async ingestArticles({ articles }) {
+  async ingestArticles({ articles }, onProgress = async () => {}) {
+    console.log(`Processing ${articles.length} articles for ingestion`);
+
+    const progress = {
+      articlesCollected: articles.length,
+      articlesNew: 0,
+      articlesUpdated: 0,
+      articlesSkipped: 0,
+      chunksCreated: 0,
+      chunksEmbedded: 0,
+      pointsUpserted: 0,
+    };
+    const errors = [];
+    let corpusChanged = false;
+
+    for (const [index, article] of articles.entries()) {
+      const articleId = getArticleId(article);
+
+      try {
+        const contentHash = hashArticle(article);
+        const storedHash = await this.vectorStore.getArticleHash(articleId);
+
+        if (storedHash === contentHash) {
+          progress.articlesSkipped++;
+          await onProgress({ ...progress }, [...errors]);
+          continue;
+        }
+
+        const chunks = this.chunkerService.processDocuments([
+          {
+            ...article,
+            id: articleId,
+            metadata: { ...article.metadata, contentHash },
+          },
+        ]);
+        progress.chunksCreated += chunks.length;
+
+        const embeddings = await this.embeddingService.embedBatch(
+          chunks.map((chunk) => chunk.text)
+        );
+        progress.chunksEmbedded += embeddings.length;
+
+        corpusChanged = true;
+        await this.vectorStore.addDocuments(chunks, embeddings);
+        progress.pointsUpserted += chunks.length;
+
+        if (storedHash !== null) {
+          // Point IDs follow chunk positions, so the upsert replaced the old
+          // chunks; only those past the new version's end are left over
+          await this.vectorStore.deleteStaleChunks(articleId, chunks.length);
+          progress.articlesUpdated++;
+        } else {
+          progress.articlesNew++;
+        }
+      } catch (error) {
+        console.error(`Error ingesting article ${articleId}:`, error.message);
+        errors.push({
+          index,
+          articleId,
+          title: article.title,
+          error: error.message,
+        });
+      }
+
+      await onProgress({ ...progress }, [...errors]);
+    }
+
+    // Cached answers may be missing or contradicting what was just indexed
+    if (this.answerCache && corpusChanged) {
+      const corpusVersion = await this.answerCache.invalidate();
+      console.log(`Answer cache invalidated (corpus version ${corpusVersion})`);
+    }
+
     console.log(
-      `Processing ${articles.length} articles for ingestion`,
-      articles
+      `Ingestion finished: ${progress.articlesNew} new, ${progress.articlesUpdated} updated, ${progress.articlesSkipped} unchanged, ${errors.length} failed`
     );
 
-    try {
-      // Process articles into chunks
-      const chunks = this.chunkerService.processDocuments(articles);
-      console.log(
-        `Generated ${chunks.length} chunks from ${articles.length} articles`
-      );
-
-      // Extract texts for embedding
-      const texts = chunks.map((chunk) => chunk.text);
-
-      // Generate embeddings one by one instead of batch
-      console.log("Generating embeddings...", texts[0]);
-      // return;
-      // const embed = await embeddingService.embedBatch();
-      const embeddings = await Promise.all(
-        texts.map((text) =>
-          embeddingService.embedBatch([
-            "quia et suscipit\n" +
-              "suscipit recusandae consequuntur expedita et cum\n" +
-              "reprehenderit molestiae ut ut quas totam\n" +
-              "nostrum rerum est autem sunt rem eveniet architecto\n" +
-              "\n" +
-              "In conclusion, while sunt aut facere repellat provident occaecati excepturi optio reprehenderit presents significant opportunities, it also raises important questions that will need to be addressed as development continues. The conversation around this topic is likely to evolve as we gain more experience and data.\n" +
-              "\n" +
-              "From a policy perspective, there are important considerations regarding regulation, standardization, and oversight. Finding the right balance between enabling innovation and ensuring safety and fairness presents an ongoing challenge.\n" +
-              "\n" +
-              "The economic implications cannot be overlooked. Initial investment costs must be weighed against long-term benefits, and the distribution of these costs and benefits across different stakeholders requires careful analysis.\n" +
-              "\n" +
-              "Industry leaders have expressed varying opinions on this matter. Some see it as a revolutionary change that will transform established practices, while others view it as an incremental improvement on existing systems.\n" +
-              "\n" +
-              "Looking ahead, we can anticipate several possible trajectories for how this might evolve. Optimistic scenarios suggest rapid adoption and integration, while more conservative outlooks predict a slower, more measured approach.\n" +
-              "\n" +
-              "User experience is another critical dimension to consider. How will this affect the average person? Will it simplify processes or add additional complexity? These questions remain central to the discussion.\n" +
-              "\n" +
-              "The technical aspects of this topic warrant careful consideration. While the fundamental principles are relatively straightforward, the implementation details can become quite complex, especially when scaling to real-world scenarios.\n" +
-              "\n" +
-              "When examining sunt aut facere repellat provident occaecati excepturi optio reprehenderit, it's important to consider the historical context. Previous developments in this area have shown mixed results, with some initial excitement followed by periods of reassessment and critical evaluation.",
-          ])
-        )
-      );
-      console.log(`Generated ${embeddings.length} embeddings`);
-
-      // Store documents with embeddings
-      const results = await this.vectorStore.addDocuments(
-        chunks.map((chunk, index) => ({
-          text: chunk.text,
-          embedding: embeddings[index],
-          metadata: chunk.metadata,
-        }))
-      );
-
-      return {
-        success: true,
-        message: `Successfully ingested ${chunks.length} chunks from ${articles.length} articles`,
-        results,
-      };
-    } catch (error) {
-      console.error("Error ingesting articles:", error);
-      throw new Error(`Failed to ingest articles: ${error.message}`);
-    }
+    return {
+      success: errors.length === 0,
+      message: `Ingested ${progress.pointsUpserted} chunks (${progress.articlesNew} new, ${progress.articlesUpdated} updated, ${progress.articlesSkipped} unchanged articles)`,
+      ...progress,
+      errors,
+    };
   }
 
   /**
    * Query the RAG system
    * @param {string} query - The query text
-   * @param {Object} options - Query options
-   * @returns {Promise<Array>} - Relevant documents
+   * @param {Object} options - { topK, threshold, filters, mode }; `threshold` is
+   * the minimum reranker score a chunk needs, or its minimum dense similarity
+   * without a reranker, defaulting to the retriever's cutoff
+   * @returns {Promise<Array>} - Relevant documents, empty when none pass the threshold
    */
   async query(query, options = {}) {
     try {
-      const { topK = 5, threshold = 0.7 } = options;
-
-      // Generate embedding for the query
-      const queryEmbedding = await this.embeddingService.embedText(query);
+      const { topK = 5, threshold, filters, mode } = options;
 
-      // Search for similar documents
-      const results = await this.vectorStore.similaritySearch(
-        queryEmbedding,
-        topK,
-        threshold
-      );
-
-      return results;
+      return await this.retriever.retrieve(query, {
+        limit: topK,
+        minRelevance: threshold,
+        filters,
+        mode,
+      });
     } catch (error) {
       console.error("Error querying RAG system:", error);
       throw new Error(`Failed to query RAG system: ${error.message}`);
@@ -116,4 +141,41 @@ class RAGService {
   }
 }
 
+/**
+ * Stable identity for an article across feed polls
+ * @param {Object} article - Article object
+ * @returns {string} - guid, link or id, falling back to a hash of the title and source
+ */
+function getArticleId(article) {
+  if (article.guid || article.link || article.id) {
+    return article.guid || article.link || article.id;
+  }
+
+  return `title:${crypto
+    .createHash("sha256")
+    .update(`${article.source || ""}\n${article.title || ""}`)
+    .digest("hex")}`;
+}
+
+/**
+ * Hash the parts of an article that end up in its chunks
+ * @param {Object} article - Article object
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashArticle(article) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        article.title,
+        article.content || article.text || "",
+        article.source,
+        article.author,
+        article.pubDate,
+        article.metadata || {},
+      ])
+    )
+    .digest("hex");
+}
+
 module.exports = RAGService;
@@ -0,0 +1,104 @@
+// backend/src/services/rerankerService.js
+const axios = require("axios");
+const { extractKeywords, tokenize } = require("../utils/textProcessing");
+
+/**
+ * Reranker backed by a locally hosted cross-encoder model served over HTTP
+ * (e.g. bge-reranker behind text-embeddings-inference's /rerank endpoint)
+ */
+class CrossEncoderReranker {
+  /**
+   * @param {Object} config - Reranker configuration
+   * @param {string} config.apiUrl - Base URL of the rerank server
+   * @param {string} config.apiKey - Bearer token, if the server needs one (optional)
+   * @param {number} config.maxChars - Characters of each document sent for scoring (optional)
+   */
+  constructor(config = {}) {
+    this.apiUrl = (config.apiUrl || "http://localhost:8080").replace(
+      /\/+$/,
+      ""
+    );
+    this.apiKey = config.apiKey;
+    this.maxChars = config.maxChars || 2000;
+    this.timeout = config.timeout || 10000;
+  }
+
+  /**
+   * Score documents against the query and sort them by relevance
+   * @param {string} query - Query text
+   * @param {Array} documents - Retrieved documents ({ text, metadata, score })
+   * @returns {Promise<Array>} - Documents with a 0-1 relevance `score`, best first;
+   * the search score is kept as `retrievalScore`
+   */
+  async rerank(query, documents) {
+    if (documents.length === 0) {
+      return [];
+    }
+
+    try {
+      const headers = { "Content-Type": "application/json" };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
+
+      const response = await axios.post(
+        `${this.apiUrl}/rerank`,
+        {
+          query,
+          texts: documents.map((doc) => doc.text.slice(0, this.maxChars)),
+          raw_scores: false,
+          truncate: true,
+        },
+        { headers, timeout: this.timeout }
+      );
+
+      return response.data
+        .map(({ index, score }) => ({
+          ...documents[index],
+          retrievalScore: documents[index].score,
+          score,
+        }))
+        .sort((a, b) => b.score - a.score);
+    } catch (error) {
+      console.error(
+        "Error reranking documents:",
+        error.response?.data || error.message
+      );
+      throw new Error(`Failed to rerank documents: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Deterministic reranker for tests and local development: scores each
+ * document by the share of query keywords it contains
+ */
+class StubReranker {
+  /**
+   * Score documents against the query and sort them by relevance
+   * @param {string} query - Query text
+   * @param {Array} documents - Retrieved documents ({ text, metadata, score })
+   * @returns {Promise<Array>} - Documents with a 0-1 relevance `score`, best first
+   */
+  async rerank(query, documents) {
+    const keywords = extractKeywords(query);
+
+    return documents
+      .map((doc) => {
+        const tokens = new Set(tokenize(doc.text));
+        const matched = keywords.filter((keyword) => tokens.has(keyword));
+
+        return {
+          ...doc,
+          retrievalScore: doc.score,
+          score: keywords.length > 0 ? matched.length / keywords.length : 0,
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = {
+  CrossEncoderReranker,
+  StubReranker,
+};
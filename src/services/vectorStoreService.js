@@ -1,5 +1,44 @@
 // backend/src/services/vectorStoreService.js
 const { QdrantClient } = require("@qdrant/js-client-rest");
+const { v4: uuidv4, v5: uuidv5 } = require("uuid");
+const {
+  extractKeywords,
+  bm25Scores,
+  tokenize,
+} = require("../utils/textProcessing");
+const { toChunkMetadata, normalizeFacet } = require("../models/chunkPayload");
+
+// Namespace for deriving point IDs; changing it would orphan every stored point
+const POINT_ID_NAMESPACE = "5f0c7d1e-8a4b-4f3e-9c2d-6b1a0e7f4d93";
+
+// Chunks sampled to estimate the corpus's average chunk length for BM25
+const STATS_SAMPLE_SIZE = 1000;
+
+// Payload fields indexed for lookups and filtered search
+const PAYLOAD_INDEXES = {
+  articleId: "keyword",
+  "facets.source": "keyword",
+  "facets.category": "keyword",
+  "facets.author": "keyword",
+  publishedAt: "integer",
+  text: {
+    type: "text",
+    tokenizer: "word",
+    lowercase: true,
+    min_token_len: 2,
+    max_token_len: 30,
+  },
+};
+
+/**
+ * Derive a stable Qdrant point ID (a UUID) for one chunk of an article
+ * @param {string} articleId - Article identity (guid, link or id)
+ * @param {number} chunkIndex - Position of the chunk within the article
+ * @returns {string} - UUID v5 point ID
+ */
+function getPointId(articleId, chunkIndex) {
+  return uuidv5(`${articleId}#${chunkIndex}`, POINT_ID_NAMESPACE);
+}
 
 /**
  * Service for managing vector database operations with Qdrant
@@ -8,6 +47,7 @@ class QdrantVectorStore {
   /**
    * Initialize Qdrant client
    * @param {Object} config - Configuration for Qdrant
+   * @param {number} config.statsTtl - Milliseconds BM25 corpus statistics are reused (optional)
    */
   constructor(config) {
     this.client = new QdrantClient({
@@ -17,6 +57,10 @@ class QdrantVectorStore {
 
     this.collectionName = config.collectionName || "news_articles";
     this.dimension = config.dimension || 768; // For Jina embeddings
+    this.statsTtl = config.statsTtl || 5 * 60 * 1000; // 5 minutes default
+
+    // Filter key -> { totalDocuments, avgLength, documentFrequencies, expiresAt }
+    this.corpusStats = new Map();
   }
 
   /**
@@ -46,6 +90,17 @@ class QdrantVectorStore {
         console.log(`Created collection: ${this.collectionName}`);
       } else {
         console.log(`Collection ${this.collectionName} already exists`);
+        await this.validateDimension();
+      }
+
+      // Index the article ID so re-ingestion can find and replace chunks,
+      // and the fields search filters can target
+      for (const [field, schema] of Object.entries(PAYLOAD_INDEXES)) {
+        await this.client.createPayloadIndex(this.collectionName, {
+          field_name: field,
+          field_schema: schema,
+          wait: true,
+        });
       }
     } catch (error) {
       console.error("Failed to initialize vector store:", error);
@@ -53,6 +108,31 @@ class QdrantVectorStore {
     }
   }
 
+  /**
+   * Ensure the existing collection stores vectors of the configured dimension
+   * @throws {Error} - If the collection was created for a different embedding size
+   */
+  async validateDimension() {
+    const info = await this.client.getCollection(this.collectionName);
+    const vectors = info.config.params.vectors;
+
+    // Unnamed vectors carry `size` directly; named vectors are keyed by name
+    const sizes =
+      typeof vectors.size === "number"
+        ? [vectors.size]
+        : Object.values(vectors).map((v) => v.size);
+
+    if (!sizes.includes(this.dimension)) {
+      const stored = sizes.join("/");
+      throw new Error(
+        `Embedding dimension mismatch: collection "${this.collectionName}" stores ` +
+          `${stored}-dimensional vectors but the embedding provider produces ` +
+          `${this.dimension}. Use a matching provider/model or point ` +
+          `QDRANT_COLLECTION at a new collection.`
+      );
+    }
+  }
+
   /**
    * Add documents with their embeddings to the vector store
    * @param {Array} documents - Array of document objects with text and metadata
@@ -65,7 +145,10 @@ class QdrantVectorStore {
       }
 
       const points = documents.map((doc, i) => ({
-        id: `${Date.now()}-${i}`,
+        id:
+          doc.metadata.articleId !== undefined
+            ? getPointId(doc.metadata.articleId, doc.metadata.chunkIndex || 0)
+            : uuidv4(),
         vector: embeddings[i],
         payload: {
           text: doc.text,
@@ -74,8 +157,10 @@ class QdrantVectorStore {
       }));
 
       await this.client.upsert(this.collectionName, {
+        wait: true,
         points,
       });
+      this.corpusStats.clear();
 
       console.log(`Added ${points.length} documents to vector store`);
     } catch (error) {
@@ -84,42 +169,221 @@ class QdrantVectorStore {
     }
   }
 
+  /**
+   * Get the content hash stored with an article's chunks
+   * @param {string} articleId - Article identity
+   * @returns {Promise<string|null>} - Content hash, or null if the article isn't stored
+   */
+  async getArticleHash(articleId) {
+    try {
+      const { points } = await this.client.scroll(this.collectionName, {
+        filter: articleFilter(articleId),
+        limit: 1,
+        with_payload: ["contentHash"],
+        with_vector: false,
+      });
+
+      return points.length > 0 ? points[0].payload.contentHash || "" : null;
+    } catch (error) {
+      console.error("Failed to look up article:", error);
+      throw new Error(`Qdrant article lookup failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the chunks an article no longer has after being re-ingested
+   * @param {string} articleId - Article identity
+   * @param {number} chunkCount - Number of chunks of the new version
+   */
+  async deleteStaleChunks(articleId, chunkCount) {
+    try {
+      await this.client.delete(this.collectionName, {
+        wait: true,
+        filter: {
+          must: [
+            ...articleFilter(articleId).must,
+            { key: "chunkIndex", range: { gte: chunkCount } },
+          ],
+        },
+      });
+      this.corpusStats.clear();
+    } catch (error) {
+      console.error("Failed to delete article chunks:", error);
+      throw new Error(`Qdrant article deletion failed: ${error.message}`);
+    }
+  }
+
   /**
    * Search for similar documents using vector similarity
    * @param {Array} queryEmbedding - Query embedding vector
    * @param {number} limit - Maximum number of results
+   * @param {Object} options - Search options
+   * @param {Object} options.filters - { source, category, author, dateFrom, dateTo }
    * @returns {Array} - Similar documents with scores
    */
-  async similaritySearch(queryEmbedding, limit = 5) {
+  async similaritySearch(queryEmbedding, limit = 5, options = {}) {
     try {
       const response = await this.client.search(this.collectionName, {
         vector: queryEmbedding,
         limit: limit,
+        filter: buildFilter(options.filters),
         with_payload: true,
         with_vectors: false,
       });
 
-      return response.map((hit) => ({
-        text: hit.payload.text,
-        metadata: {
-          title: hit.payload.title,
-          source: hit.payload.source,
-          url: hit.payload.url,
-          date: hit.payload.date,
-        },
-        score: hit.score,
-      }));
+      return response.map((hit) => toSearchResult(hit, hit.score));
     } catch (error) {
       console.error("Failed to perform similarity search:", error);
       throw new Error(`Qdrant search failed: ${error.message}`);
     }
   }
 
+  /**
+   * Search for documents containing the query's keywords, ranked with BM25
+   *
+   * Candidates come from the full-text index on `text`, rarest terms first so
+   * exact names and tickers are never crowded out; document frequencies come
+   * from exact counts against the same index, cached with the other corpus
+   * statistics.
+   * @param {string} query - Query text
+   * @param {number} limit - Maximum number of results
+   * @param {Object} options - Search options
+   * @param {Object} options.filters - { source, category, author, dateFrom, dateTo }
+   * @param {number} options.candidateLimit - Maximum chunks to score (optional)
+   * @returns {Array} - Matching documents with BM25 scores
+   */
+  async keywordSearch(query, limit = 5, options = {}) {
+    const terms = extractKeywords(query);
+
+    if (terms.length === 0) {
+      return [];
+    }
+
+    try {
+      const base = buildFilter(options.filters) || { must: [] };
+      const candidateLimit = options.candidateLimit || 200;
+      const termFilter = (term) => ({
+        must: [...base.must, { key: "text", match: { text: term } }],
+      });
+
+      const stats = await this._getCorpusStats(
+        base.must.length > 0 ? base : undefined
+      );
+
+      const unknown = terms.filter(
+        (term) => !stats.documentFrequencies.has(term)
+      );
+      const counts = await Promise.all(
+        unknown.map((term) =>
+          this.client.count(this.collectionName, {
+            filter: termFilter(term),
+            exact: true,
+          })
+        )
+      );
+      unknown.forEach((term, i) =>
+        stats.documentFrequencies.set(term, counts[i].count)
+      );
+
+      const documentFrequencies = {};
+      for (const term of terms) {
+        documentFrequencies[term] = stats.documentFrequencies.get(term);
+      }
+
+      const byRarity = terms
+        .filter((term) => documentFrequencies[term] > 0)
+        .sort((a, b) => documentFrequencies[a] - documentFrequencies[b]);
+      const pages = await Promise.all(
+        byRarity.map((term) =>
+          this.client.scroll(this.collectionName, {
+            filter: termFilter(term),
+            limit: candidateLimit,
+            with_payload: true,
+            with_vector: false,
+          })
+        )
+      );
+
+      // Fill the candidate set from the rarest term's matches down
+      const candidates = new Map();
+      for (const { points } of pages) {
+        for (const point of points) {
+          if (candidates.size >= candidateLimit) {
+            break;
+          }
+          candidates.set(point.id, point);
+        }
+      }
+
+      const points = [...candidates.values()];
+      const scores = bm25Scores(
+        terms,
+        points.map((point) => point.payload.text),
+        {
+          totalDocuments: stats.totalDocuments,
+          documentFrequencies,
+          avgLength: stats.avgLength,
+        }
+      );
+
+      return points
+        .map((point, i) => toSearchResult(point, scores[i]))
+        .filter((result) => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    } catch (error) {
+      console.error("Failed to perform keyword search:", error);
+      throw new Error(`Qdrant keyword search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the corpus statistics BM25 needs for a filter, computing them at most
+   * once per `statsTtl`; writes through this store drop them
+   * @param {Object} filter - Qdrant filter, or undefined for the whole collection
+   * @returns {Promise<Object>} - { totalDocuments, avgLength, documentFrequencies }
+   */
+  async _getCorpusStats(filter) {
+    const key = JSON.stringify(filter || null);
+    const cached = this.corpusStats.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    const [{ count: totalDocuments }, { points }] = await Promise.all([
+      this.client.count(this.collectionName, { filter, exact: true }),
+      this.client.scroll(this.collectionName, {
+        filter,
+        limit: STATS_SAMPLE_SIZE,
+        with_payload: ["text"],
+        with_vector: false,
+      }),
+    ]);
+
+    // Point IDs are hashes, so the first page is an unbiased sample
+    const totalLength = points.reduce(
+      (sum, point) => sum + tokenize(point.payload.text || "").length,
+      0
+    );
+
+    const stats = {
+      totalDocuments,
+      avgLength: points.length > 0 ? totalLength / points.length : 0,
+      documentFrequencies: new Map(),
+      expiresAt: Date.now() + this.statsTtl,
+    };
+    this.corpusStats.set(key, stats);
+
+    return stats;
+  }
+
   /**
    * Delete all documents from the collection
    */
   async clearCollection() {
     try {
+      this.corpusStats.clear();
       await this.client.deleteCollection(this.collectionName);
       await this.initialize();
       console.log(`Cleared collection: ${this.collectionName}`);
@@ -130,6 +394,74 @@ class QdrantVectorStore {
   }
 }
 
+/**
+ * Filter matching every chunk of an article
+ * @param {string} articleId - Article identity
+ * @returns {Object} - Qdrant filter
+ */
+function articleFilter(articleId) {
+  return { must: [{ key: "articleId", match: { value: articleId } }] };
+}
+
+/**
+ * Shape a Qdrant point or search hit as a search result
+ * @param {Object} point - Point with id and payload
+ * @param {number} score - Relevance score
+ * @returns {Object} - { id, text, metadata, score } with the chunk payload as metadata
+ */
+function toSearchResult(point, score) {
+  return {
+    id: point.id,
+    text: point.payload.text,
+    metadata: toChunkMetadata(point.payload),
+    score,
+  };
+}
+
+/**
+ * Translate search filters into a Qdrant payload filter
+ *
+ * source, category and author match whole values, ignoring case, and accept
+ * a string or an array of alternatives; dateFrom/dateTo bound the
+ * publication date (inclusive).
+ * @param {Object} filters - { source, category, author, dateFrom, dateTo }
+ * @returns {Object|undefined} - Qdrant filter, or undefined when nothing is filtered
+ */
+function buildFilter(filters = {}) {
+  const must = [];
+
+  for (const field of ["source", "category", "author"]) {
+    const values = [].concat(filters[field] || []).filter(Boolean);
+
+    if (values.length > 0) {
+      must.push({
+        key: `facets.${field}`,
+        match: { any: values.map(normalizeFacet) },
+      });
+    }
+  }
+
+  if (filters.dateFrom || filters.dateTo) {
+    const range = {};
+    if (filters.dateFrom) {
+      range.gte = Math.floor(Date.parse(filters.dateFrom) / 1000);
+    }
+    if (filters.dateTo) {
+      range.lte = Math.floor(Date.parse(filters.dateTo) / 1000);
+
+      // A bare date means "through the end of that day"
+      if (/^\d{4}-\d{2}-\d{2}$/.test(filters.dateTo)) {
+        range.lte += 24 * 60 * 60 - 1;
+      }
+    }
+    must.push({ key: "publishedAt", range });
+  }
+
+  return must.length > 0 ? { must } : undefined;
+}
+
 module.exports = {
   QdrantVectorStore,
+  buildFilter,
+  getPointId,
 };
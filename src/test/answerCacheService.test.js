@@ -0,0 +1,135 @@
+// backend/src/test/answerCacheService.test.js
+const {
+  RedisAnswerCache,
+  cosineSimilarity,
+} = require("../services/answerCacheService");
+
+/**
+ * In-memory stand-in for the ioredis commands the cache uses
+ */
+class FakeRedis {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key) {
+    return this.data.has(key) ? String(this.data.get(key)) : null;
+  }
+
+  async incr(key) {
+    const value = (parseInt(this.data.get(key)) || 0) + 1;
+    this.data.set(key, value);
+    return value;
+  }
+
+  async lrange(key, start, stop) {
+    const list = this.data.get(key) || [];
+    return list.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  multi() {
+    const ops = [];
+    const transaction = {
+      lpush: (key, value) => {
+        ops.push(() =>
+          this.data.set(key, [value, ...(this.data.get(key) || [])])
+        );
+        return transaction;
+      },
+      ltrim: (key, start, stop) => {
+        ops.push(() =>
+          this.data.set(key, this.data.get(key).slice(start, stop + 1))
+        );
+        return transaction;
+      },
+      expire: () => transaction,
+      exec: async () => ops.forEach((op) => op()),
+    };
+    return transaction;
+  }
+}
+
+const scope = {
+  filters: { source: ["CNN"] },
+  searchMode: "hybrid",
+  promptTemplate: "default@v1",
+};
+const result = { response: "Rates rose [1].", sources: [], citations: [] };
+
+describe("cosineSimilarity", () => {
+  test("compares vector directions", () => {
+    expect(cosineSimilarity([1, 0], [2, 0])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+  });
+});
+
+describe("RedisAnswerCache", () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new RedisAnswerCache({ client: new FakeRedis(), threshold: 0.95 });
+  });
+
+  test("returns the answer to a similar query", async () => {
+    await cache.store([1, 0, 0], scope, "rates?", result);
+
+    expect(await cache.lookup([0.99, 0.05, 0], scope)).toMatchObject({
+      ...result,
+      cachedQuery: "rates?",
+      corpusVersion: 0,
+    });
+  });
+
+  test("misses dissimilar queries and other settings", async () => {
+    await cache.store([1, 0, 0], scope, "rates?", result);
+
+    expect(await cache.lookup([0, 1, 0], scope)).toBeNull();
+    expect(
+      await cache.lookup([1, 0, 0], { ...scope, searchMode: "dense" })
+    ).toBeNull();
+  });
+
+  test("treats missing and empty filters alike", async () => {
+    const unfiltered = { searchMode: "hybrid", promptTemplate: "default@v1" };
+    await cache.store([1, 0, 0], unfiltered, "rates?", result);
+
+    expect(
+      await cache.lookup([1, 0, 0], { ...unfiltered, filters: {} })
+    ).not.toBeNull();
+    expect(
+      await cache.lookup([1, 0, 0], {
+        ...unfiltered,
+        filters: { source: [], author: undefined },
+      })
+    ).not.toBeNull();
+  });
+
+  test("stops serving answers after invalidation", async () => {
+    await cache.store([1, 0, 0], scope, "rates?", result);
+
+    expect(await cache.invalidate()).toBe(1);
+    expect(await cache.lookup([1, 0, 0], scope)).toBeNull();
+  });
+
+  test("keeps at most maxEntries answers per settings group", async () => {
+    cache.maxEntries = 2;
+    await cache.store([1, 0, 0], scope, "first", result);
+    await cache.store([0, 1, 0], scope, "second", result);
+    await cache.store([0, 0, 1], scope, "third", result);
+
+    expect(await cache.lookup([1, 0, 0], scope)).toBeNull();
+    expect((await cache.lookup([0, 0, 1], scope)).cachedQuery).toBe("third");
+  });
+
+  test("ignores expired entries", async () => {
+    cache.ttl = 60;
+    const now = jest.spyOn(Date, "now").mockReturnValue(1000000);
+    await cache.store([1, 0, 0], scope, "rates?", result);
+
+    now.mockReturnValue(1000000 + 61 * 1000);
+    expect(await cache.lookup([1, 0, 0], scope)).toBeNull();
+    now.mockRestore();
+  });
+});
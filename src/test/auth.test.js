@@ -0,0 +1,66 @@
+// backend/src/test/auth.test.js
+const { parseApiKeys } = require("../config/auth");
+const { createAuthMiddleware } = require("../middleware/auth");
+
+describe("parseApiKeys", () => {
+  test("parses keys with users and roles", () => {
+    const keys = parseApiKeys(" k1:alice:admin|editor, k2:bob ,broken,:nobody");
+
+    expect([...keys]).toEqual([
+      ["k1", { id: "alice", roles: ["admin", "editor"] }],
+      ["k2", { id: "bob", roles: [] }],
+    ]);
+  });
+
+  test("returns no keys when unset", () => {
+    expect(parseApiKeys().size).toBe(0);
+  });
+});
+
+describe("createAuthMiddleware", () => {
+  const authenticate = createAuthMiddleware({
+    apiKeys: parseApiKeys("k1:alice:admin"),
+  });
+
+  function run(headers) {
+    const req = { get: (name) => headers[name.toLowerCase()] };
+    const res = {
+      status: jest.fn(function status() {
+        return this;
+      }),
+      json: jest.fn(function json() {
+        return this;
+      }),
+    };
+    const next = jest.fn();
+
+    authenticate(req, res, next);
+    return { req, res, next };
+  }
+
+  test("attaches the user of a valid API key", () => {
+    const { req, next } = run({ "x-api-key": "k1" });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({ id: "alice", roles: ["admin"] });
+  });
+
+  test.each(["wrong", "constructor", "__proto__", "toString"])(
+    "rejects the API key %s",
+    (key) => {
+      const { res, next } = run({ "x-api-key": key });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    }
+  );
+
+  test("requires credentials", () => {
+    const { res } = run({});
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test("refuses to start without any credentials configured", () => {
+    expect(() => createAuthMiddleware({})).toThrow(/not configured/);
+  });
+});
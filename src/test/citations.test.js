@@ -0,0 +1,100 @@
+// backend/src/test/citations.test.js
+const {
+  formatNumberedContext,
+  extractCitations,
+  CitationStreamFilter,
+} = require("../rag/citations");
+
+const docs = [
+  {
+    text: "The central bank raised rates. Inflation stayed high.",
+    metadata: {
+      articleId: "a1",
+      chunkIndex: 0,
+      title: "Rates rise",
+      source: "CNN",
+    },
+  },
+  {
+    text: "Stocks fell after the decision. Bonds rallied.",
+    metadata: { articleId: "a2", chunkIndex: 3, title: "Markets react" },
+  },
+];
+
+describe("formatNumberedContext", () => {
+  test("numbers each document with its details", () => {
+    expect(formatNumberedContext(docs)).toBe(
+      "[1] Rates rise\nSource: CNN\nThe central bank raised rates. Inflation stayed high.\n\n" +
+        "[2] Markets react\nStocks fell after the decision. Bonds rallied."
+    );
+  });
+});
+
+describe("extractCitations", () => {
+  test("maps markers to their articles with a supporting snippet", () => {
+    const { content, citations } = extractCitations(
+      "Rates went up [1]. Stocks fell [2].",
+      docs
+    );
+
+    expect(content).toBe("Rates went up [1]. Stocks fell [2].");
+    expect(citations).toEqual([
+      expect.objectContaining({
+        marker: 1,
+        articleId: "a1",
+        snippet: "The central bank raised rates.",
+      }),
+      expect.objectContaining({
+        marker: 2,
+        articleId: "a2",
+        snippet: "Stocks fell after the decision.",
+      }),
+    ]);
+  });
+
+  test("strips markers pointing at no document", () => {
+    const { content, citations } = extractCitations(
+      "Rates went up [1][9]. Nobody knows why [7].",
+      docs
+    );
+
+    expect(content).toBe("Rates went up [1]. Nobody knows why.");
+    expect(citations.map((c) => c.marker)).toEqual([1]);
+  });
+
+  test("handles an empty answer", () => {
+    expect(extractCitations(undefined, docs)).toEqual({
+      content: "",
+      citations: [],
+    });
+  });
+});
+
+describe("CitationStreamFilter", () => {
+  const answer =
+    "Rates went up [1][9], stocks fell [2, 5] and [7] nobody knows [3";
+
+  test.each([1, 2, 3, 5, answer.length])(
+    "streams the same text extractCitations keeps (chunks of %i)",
+    (size) => {
+      const filter = new CitationStreamFilter(docs.length);
+      let streamed = "";
+
+      for (let i = 0; i < answer.length; i += size) {
+        streamed += filter.push(answer.slice(i, i + size));
+      }
+      streamed += filter.flush();
+
+      expect(streamed).toBe(extractCitations(answer, docs).content);
+    }
+  );
+
+  test("holds back an unfinished marker until it is complete", () => {
+    const filter = new CitationStreamFilter(1);
+
+    expect(filter.push("Up [")).toBe("Up");
+    expect(filter.push("1")).toBe("");
+    expect(filter.push("] now")).toBe(" [1] now");
+    expect(filter.flush()).toBe("");
+  });
+});
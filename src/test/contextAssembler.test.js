@@ -0,0 +1,82 @@
+// backend/src/test/contextAssembler.test.js
+const { ContextAssembler } = require("../rag/contextAssembler");
+
+const article = "First sentence here. Second sentence here. Third one here.";
+
+function chunk(chunkIndex, startOffset, endOffset, score) {
+  return {
+    text: article.slice(startOffset, endOffset),
+    score,
+    metadata: {
+      articleId: "a1",
+      title: "Rates",
+      chunkIndex,
+      startOffset,
+      endOffset,
+    },
+  };
+}
+
+describe("ContextAssembler", () => {
+  test("merges overlapping chunks of the same article", () => {
+    const { documents, usedChunks } = new ContextAssembler().assemble([
+      chunk(1, 21, 58, 0.9),
+      chunk(0, 0, 43, 0.7),
+    ]);
+
+    expect(documents).toHaveLength(1);
+    expect(documents[0].text).toBe(article);
+    expect(documents[0].score).toBe(0.9);
+    expect(usedChunks[0]).toMatchObject({
+      articleId: "a1",
+      chunkIndexes: [0, 1],
+      startOffset: 0,
+      endOffset: 58,
+      truncated: false,
+    });
+  });
+
+  test("keeps chunks of different articles apart", () => {
+    const other = {
+      ...chunk(0, 0, 20, 0.5),
+      metadata: { ...chunk(0, 0, 20).metadata, articleId: "a2" },
+    };
+    const { documents } = new ContextAssembler().assemble([
+      chunk(0, 0, 20, 0.9),
+      other,
+    ]);
+
+    expect(documents).toHaveLength(2);
+  });
+
+  test("trims the last passage at a sentence boundary", () => {
+    const long = {
+      text: "Short sentence one. ".repeat(40),
+      score: 1,
+      metadata: { title: "Long", chunkIndex: 0 },
+    };
+    const { documents, usedChunks, totalTokens } = new ContextAssembler({
+      tokenBudget: 60,
+      minPassageTokens: 10,
+    }).assemble([long]);
+
+    expect(documents[0].text).toMatch(/one\.$/);
+    expect(documents[0].text.length).toBeLessThan(long.text.length);
+    expect(usedChunks[0].truncated).toBe(true);
+    expect(totalTokens).toBeLessThanOrEqual(60);
+  });
+
+  test("skips a trimmed passage below the minimum size", () => {
+    const long = {
+      text: "Short sentence one. ".repeat(40),
+      score: 1,
+      metadata: { title: "Long", chunkIndex: 0 },
+    };
+    const { documents } = new ContextAssembler({
+      tokenBudget: 60,
+      minPassageTokens: 100,
+    }).assemble([long]);
+
+    expect(documents).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+// backend/src/test/conversationExport.test.js
+const { exportConversation } = require("../utils/conversationExport");
+
+const now = new Date("2026-03-01T12:00:00Z");
+
+function conversation(citations, content = "Rates rose [1].") {
+  return {
+    sessionId: "0f8fad5b-d9cb-469f-a165-70867728950e",
+    title: "Rate decision",
+    createdAt: "2026-03-01T10:00:00Z",
+    messages: [
+      {
+        role: "user",
+        content: "What happened?",
+        timestamp: "2026-03-01T10:00:00Z",
+      },
+      {
+        role: "assistant",
+        content,
+        timestamp: "2026-03-01T10:00:05Z",
+        citations,
+      },
+    ],
+  };
+}
+
+const citation = {
+  marker: 1,
+  articleId: "a1",
+  title: "Rates rise",
+  source: "CNN",
+  url: "https://example.com/rates",
+  date: "2026-02-28T09:00:00Z",
+};
+
+describe("exportConversation", () => {
+  test("names the file after the title and session", () => {
+    const { filename, contentType } = exportConversation(
+      conversation([citation]),
+      "md",
+      { now }
+    );
+
+    expect(filename).toBe("rate-decision-0f8fad5b.md");
+    expect(contentType).toBe("text/markdown; charset=utf-8");
+  });
+
+  test("renders Markdown with a bibliography", () => {
+    const { body } = exportConversation(conversation([citation]), "md", {
+      now,
+    });
+
+    expect(body).toContain(
+      "## Assistant · 2026-03-01 10:00 UTC\n\nRates rose [1]."
+    );
+    expect(body).toContain(
+      "1. [Rates rise](https://example.com/rates) — CNN, 2026-02-28"
+    );
+  });
+
+  test("numbers articles once across messages", () => {
+    const { body } = exportConversation(
+      {
+        ...conversation([citation]),
+        messages: [
+          ...conversation([citation]).messages,
+          {
+            role: "assistant",
+            content: "Also [1] and [2].",
+            citations: [
+              { ...citation, marker: 2 },
+              { marker: 1, articleId: "a2", title: "Markets" },
+            ],
+          },
+        ],
+      },
+      "json",
+      { now }
+    );
+    const exported = JSON.parse(body);
+
+    expect(exported.messages[2].content).toBe("Also [2] and [1].");
+    expect(exported.bibliography.map((entry) => entry.title)).toEqual([
+      "Rates rise",
+      "Markets",
+    ]);
+  });
+
+  test("drops markers that cite nothing", () => {
+    const { body } = exportConversation(
+      conversation([], "Rates rose [1]."),
+      "json",
+      { now }
+    );
+
+    expect(JSON.parse(body).messages[1].content).toBe("Rates rose.");
+  });
+
+  test("doesn't link URLs that aren't http(s)", () => {
+    const unsafe = { ...citation, url: "javascript:alert(1)" };
+    const markdown = exportConversation(conversation([unsafe]), "md", { now });
+    const html = exportConversation(conversation([unsafe]), "html", { now });
+
+    expect(markdown.body).toContain("1. Rates rise — CNN");
+    expect(markdown.body).not.toContain("javascript:");
+    expect(html.body).not.toContain("javascript:");
+  });
+
+  test("escapes Markdown link text and targets", () => {
+    const { body } = exportConversation(
+      conversation([
+        {
+          ...citation,
+          title: "Rates [updated]",
+          url: "https://example.com/a (b)",
+        },
+      ]),
+      "md",
+      { now }
+    );
+
+    expect(body).toContain(
+      "[Rates \\[updated\\]](https://example.com/a%20%28b%29)"
+    );
+  });
+
+  test("escapes HTML and links markers to references", () => {
+    const { body } = exportConversation(
+      conversation([{ ...citation, title: "<b>Rates</b>" }], "A < B [1]."),
+      "html",
+      { now }
+    );
+
+    expect(body).toContain('<p>A &lt; B [<a href="#ref-1">1</a>].</p>');
+    expect(body).toContain("&lt;b&gt;Rates&lt;/b&gt;");
+    expect(body).not.toContain("<b>Rates</b>");
+  });
+});
@@ -0,0 +1,116 @@
+// backend/src/test/conversationTree.test.js
+const {
+  normalizeMessages,
+  getBranch,
+  isCompleteBranch,
+  getHeadId,
+  listBranches,
+} = require("../utils/conversationTree");
+
+// q1 -> a1 -> q2 -> a2, with a regenerated answer a2b and an edited question q2e
+const tree = [
+  { id: "q1", parentId: null, role: "user", content: "Q1", timestamp: "t1" },
+  {
+    id: "a1",
+    parentId: "q1",
+    role: "assistant",
+    content: "A1",
+    timestamp: "t2",
+  },
+  { id: "q2", parentId: "a1", role: "user", content: "Q2", timestamp: "t3" },
+  {
+    id: "a2",
+    parentId: "q2",
+    role: "assistant",
+    content: "A2",
+    timestamp: "t4",
+  },
+  {
+    id: "a2b",
+    parentId: "q2",
+    role: "assistant",
+    content: "A2b",
+    timestamp: "t5",
+  },
+  { id: "q2e", parentId: "a1", role: "user", content: "Q2e", timestamp: "t6" },
+];
+
+describe("normalizeMessages", () => {
+  test("links legacy messages into one linear conversation", () => {
+    const normalized = normalizeMessages([
+      { role: "user", content: "Q", timestamp: "2026-01-01T00:00:00Z" },
+      { role: "assistant", content: "A", timestamp: "2026-01-01T00:00:01Z" },
+    ]);
+
+    expect(normalized.map(({ id, parentId }) => [id, parentId])).toEqual([
+      ["legacy-user-2026-01-01T00:00:00Z", null],
+      [
+        "legacy-assistant-2026-01-01T00:00:01Z",
+        "legacy-user-2026-01-01T00:00:00Z",
+      ],
+    ]);
+  });
+
+  test("keeps IDs and parents of tree messages", () => {
+    expect(normalizeMessages(tree)).toEqual(tree);
+  });
+});
+
+describe("getBranch", () => {
+  test("returns the path from the first message", () => {
+    expect(getBranch(tree, "a2b").map((m) => m.id)).toEqual([
+      "q1",
+      "a1",
+      "q2",
+      "a2b",
+    ]);
+    expect(getBranch(tree, "q2e").map((m) => m.id)).toEqual([
+      "q1",
+      "a1",
+      "q2e",
+    ]);
+  });
+
+  test("returns null for an unknown message", () => {
+    expect(getBranch(tree, "missing")).toBeNull();
+  });
+
+  test("stops where older messages were trimmed away", () => {
+    expect(getBranch(tree.slice(2), "a2").map((m) => m.id)).toEqual([
+      "q2",
+      "a2",
+    ]);
+  });
+});
+
+describe("isCompleteBranch", () => {
+  test("is true when the branch reaches the first message", () => {
+    expect(isCompleteBranch(tree, "a2")).toBe(true);
+  });
+
+  test("is false when ancestors were trimmed or the message is missing", () => {
+    expect(isCompleteBranch(tree.slice(2), "a2")).toBe(false);
+    expect(isCompleteBranch(tree, "missing")).toBe(false);
+  });
+});
+
+describe("getHeadId", () => {
+  test("uses the recorded head when it exists", () => {
+    expect(getHeadId(tree, "a2")).toBe("a2");
+  });
+
+  test("falls back to the newest message", () => {
+    expect(getHeadId(tree, "trimmed")).toBe("q2e");
+    expect(getHeadId([], null)).toBeNull();
+  });
+});
+
+describe("listBranches", () => {
+  test("lists every leaf, most recent first", () => {
+    expect(listBranches(tree)).toEqual([
+      { leafId: "q2e", messageCount: 3, lastMessageAt: "t6" },
+      { leafId: "a2b", messageCount: 4, lastMessageAt: "t5" },
+      { leafId: "a2", messageCount: 4, lastMessageAt: "t4" },
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+// backend/src/test/extractor.test.js
+const { extractArticle, htmlToText } = require("../rag/extractor");
+
+const BODY =
+  "<p>The central bank raised rates on Thursday, citing inflation, wages and energy prices.</p>" +
+  "<p>Markets fell sharply, with bonds, stocks and the currency all lower by the close.</p>";
+const TEXT =
+  "The central bank raised rates on Thursday, citing inflation, wages and energy prices.\n\n" +
+  "Markets fell sharply, with bonds, stocks and the currency all lower by the close.";
+
+describe("extractArticle", () => {
+  test("reads metadata from meta tags and JSON-LD", () => {
+    const article = extractArticle(
+      `<html><head>
+        <meta property="og:title" content="Rates rise">
+        <meta property="og:site_name" content="Example News">
+        <meta property="og:image" content="/img/lead.jpg">
+        <script type="application/ld+json">
+          {"@type": "NewsArticle", "author": [{"name": "Jane Roe"}, "John Doe"],
+           "datePublished": "2026-02-28T09:00:00Z"}
+        </script>
+      </head><body><article>${BODY}</article></body></html>`,
+      { url: "https://example.com/news/rates" }
+    );
+
+    expect(article).toMatchObject({
+      title: "Rates rise",
+      author: "Jane Roe, John Doe",
+      publishedDate: "2026-02-28T09:00:00.000Z",
+      leadImage: "https://example.com/img/lead.jpg",
+      canonicalUrl: "https://example.com/news/rates",
+      siteName: "Example News",
+      content: TEXT,
+    });
+  });
+
+  test("leaves out page chrome", () => {
+    const { content } = extractArticle(
+      `<html><body><nav><p>Home, World, Business, Sports, Weather</p></nav>
+        <article>${BODY}
+          <div class="related-links"><p>Related coverage: another story, and one more story here.</p></div>
+        </article>
+        <div class="cookie-banner"><p>We use cookies to improve your experience, analytics and ads.</p></div>
+      </body></html>`
+    );
+
+    expect(content).toBe(TEXT);
+  });
+
+  test("keeps the article when a wrapper's class looks like page chrome", () => {
+    const wrapped = [
+      `<div class="layout-with-sidebar"><article>${BODY}</article></div>`,
+      `<div class="story has-share-tools">${BODY}</div>`,
+    ];
+
+    for (const html of wrapped) {
+      expect(extractArticle(`<html><body>${html}</body></html>`).content).toBe(
+        TEXT
+      );
+    }
+  });
+});
+
+describe("htmlToText", () => {
+  test("keeps paragraph breaks and drops scripts", () => {
+    expect(htmlToText(`${BODY}<script>track()</script>`)).toBe(TEXT);
+    expect(htmlToText("")).toBe("");
+  });
+});
@@ -0,0 +1,62 @@
+// backend/src/test/historyFormatter.test.js
+const { formatHistory } = require("../rag/historyFormatter");
+
+const turns = [
+  { role: "user", content: "What did the bank do?" },
+  { role: "assistant", content: "It raised rates." },
+  { role: "user", content: "Why?" },
+];
+
+describe("formatHistory", () => {
+  test("maps roles for the provider", () => {
+    expect(formatHistory(turns.slice(0, 2), { provider: "gemini" })).toEqual([
+      { role: "user", content: "What did the bank do?" },
+      { role: "model", content: "It raised rates." },
+    ]);
+  });
+
+  test("rejects an unknown provider", () => {
+    expect(() => formatHistory(turns, { provider: "other" })).toThrow(
+      /No history role mapping/
+    );
+  });
+
+  test("drops the current message when it was already appended", () => {
+    expect(formatHistory(turns, { currentMessage: " Why? " })).toHaveLength(2);
+  });
+
+  test("merges consecutive messages with the same role", () => {
+    const history = [
+      { role: "user", content: "First" },
+      { role: "user", content: "Second" },
+      { role: "system", content: "Ignored" },
+      { role: "assistant", content: "" },
+    ];
+
+    expect(formatHistory(history)).toEqual([
+      { role: "user", content: "First\n\nSecond" },
+    ]);
+  });
+
+  test("summarizes turns that don't fit the budget", () => {
+    const history = [
+      { role: "user", content: "Old question ".repeat(20) },
+      { role: "assistant", content: "Old answer ".repeat(20) },
+      { role: "user", content: "Recent question" },
+      { role: "assistant", content: "Recent answer" },
+    ];
+
+    const formatted = formatHistory(history, { tokenBudget: 10 });
+
+    expect(formatted).toHaveLength(2);
+    expect(formatted[0].role).toBe("user");
+    expect(formatted[0].content).toMatch(
+      /^Summary of our earlier conversation:\n- User asked: Old question.*\n- Assistant answered: Old answer/
+    );
+    expect(formatted[0].content).toMatch(/\n\nRecent question$/);
+    expect(formatted[1]).toEqual({
+      role: "assistant",
+      content: "Recent answer",
+    });
+  });
+});
@@ -0,0 +1,63 @@
+// backend/src/test/promptTemplates.test.js
+const {
+  parseTemplateRef,
+  formatTemplateId,
+  renderTemplate,
+  findMissingVariables,
+} = require("../rag/promptTemplates");
+
+describe("parseTemplateRef", () => {
+  test.each([
+    ["default", { name: "default", version: null }],
+    ["Concise@v3", { name: "concise", version: 3 }],
+    ["concise@3", { name: "concise", version: 3 }],
+  ])("parses %s", (ref, expected) => {
+    expect(parseTemplateRef(ref)).toEqual(expected);
+  });
+
+  test.each(["", "@v1", "bad name", "name@vx", undefined])(
+    "rejects %p",
+    (ref) => {
+      expect(parseTemplateRef(ref)).toBeNull();
+    }
+  );
+});
+
+describe("formatTemplateId", () => {
+  test("joins name and version", () => {
+    expect(formatTemplateId({ name: "default", version: 2 })).toBe(
+      "default@v2"
+    );
+  });
+});
+
+describe("renderTemplate", () => {
+  test("fills known variables and leaves the rest", () => {
+    expect(
+      renderTemplate("{{ question }} / {{context}} / {{unknown}}", {
+        question: "Why?",
+        context: "Docs",
+      })
+    ).toBe("Why? / Docs / {{unknown}}");
+  });
+
+  test("doesn't expand placeholders inside values", () => {
+    expect(
+      renderTemplate("{{question}} {{context}}", {
+        question: "{{context}}",
+        context: "Docs",
+      })
+    ).toBe("{{context}} Docs");
+  });
+
+  test("ignores inherited properties", () => {
+    expect(renderTemplate("{{constructor}}", {})).toBe("{{constructor}}");
+  });
+});
+
+describe("findMissingVariables", () => {
+  test("lists required variables the body doesn't use", () => {
+    expect(findMissingVariables("Answer {{ question }}")).toEqual(["context"]);
+    expect(findMissingVariables("{{context}} {{question}}")).toEqual([]);
+  });
+});
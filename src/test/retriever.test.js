@@ -0,0 +1,127 @@
+// backend/src/test/retriever.test.js
+const { HybridRetriever, reciprocalRankFusion } = require("../rag/retriever");
+
+const doc = (id, score) => ({ id, text: id, score, metadata: {} });
+
+function createRetriever(options = {}) {
+  const vectorStoreService = {
+    similaritySearch: jest.fn(async () => [doc("a", 0.9), doc("b", 0.8)]),
+    keywordSearch: jest.fn(async () => [doc("b", 7), doc("c", 5)]),
+  };
+  const embeddingService = { embedText: jest.fn(async () => [1, 0]) };
+
+  return {
+    vectorStoreService,
+    retriever: new HybridRetriever({
+      embeddingService,
+      vectorStoreService,
+      ...options,
+    }),
+  };
+}
+
+describe("reciprocalRankFusion", () => {
+  test("ranks documents found by both lists first", () => {
+    const fused = reciprocalRankFusion(
+      [
+        [doc("a"), doc("b")],
+        [doc("b"), doc("c")],
+      ],
+      { k: 60 }
+    );
+
+    expect(fused.map((result) => result.id)).toEqual(["b", "a", "c"]);
+    expect(fused[0].score).toBeCloseTo(1 / 61 + 1 / 62);
+    expect(fused[1].score).toBeCloseTo(1 / 61);
+  });
+});
+
+describe("HybridRetriever", () => {
+  let consoleError;
+
+  beforeEach(() => {
+    consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  test("rejects an unknown default mode", () => {
+    expect(() => createRetriever({ defaultMode: "fuzzy" })).toThrow(
+      /Unknown retrieval mode/
+    );
+  });
+
+  test("drops chunks below the similarity cutoff without a reranker", async () => {
+    const { retriever } = createRetriever({ minSimilarity: 0.85 });
+
+    const results = await retriever.retrieve("rates", { mode: "dense" });
+    expect(results.map((result) => result.id)).toEqual(["a"]);
+  });
+
+  test("applies the threshold to dense similarity without a reranker", async () => {
+    const { retriever } = createRetriever();
+
+    const results = await retriever.retrieve("rates", {
+      mode: "dense",
+      minRelevance: 0.85,
+    });
+    expect(results.map((result) => result.id)).toEqual(["a"]);
+  });
+
+  test("finds nothing when no dense hit is similar enough", async () => {
+    const { retriever } = createRetriever({ minSimilarity: 0.95 });
+
+    // Keyword matches alone don't count
+    expect(await retriever.retrieve("rates", { limit: 5 })).toEqual([]);
+  });
+
+  test("doesn't cut off keyword-only search", async () => {
+    const { retriever } = createRetriever({ minSimilarity: 0.95 });
+
+    const results = await retriever.retrieve("rates", { mode: "keyword" });
+    expect(results.map((result) => result.id)).toEqual(["b", "c"]);
+  });
+
+  test("uses the requested mode", async () => {
+    const { retriever, vectorStoreService } = createRetriever();
+
+    await retriever.retrieve("rates", { mode: "keyword", limit: 3 });
+    expect(vectorStoreService.keywordSearch).toHaveBeenCalledWith("rates", 3, {
+      filters: undefined,
+    });
+    expect(vectorStoreService.similaritySearch).not.toHaveBeenCalled();
+  });
+
+  test("falls back to dense results when keyword search fails", async () => {
+    const { retriever, vectorStoreService } = createRetriever();
+    vectorStoreService.keywordSearch.mockRejectedValue(new Error("down"));
+
+    const results = await retriever.retrieve("rates", { limit: 5 });
+    expect(results.map((result) => result.id)).toEqual(["a", "b"]);
+  });
+
+  test("drops reranked chunks below the cutoff", async () => {
+    const reranker = {
+      rerank: jest.fn(async (query, candidates) =>
+        candidates.map((c, i) => ({ ...c, score: [0.9, 0.2, 0.6][i] }))
+      ),
+    };
+    const { retriever } = createRetriever({ reranker, minRelevance: 0.5 });
+
+    const results = await retriever.retrieve("rates", { limit: 5 });
+    expect(results.map((result) => result.score)).toEqual([0.9, 0.6]);
+    expect(reranker.rerank.mock.calls[0][1]).toHaveLength(3);
+  });
+
+  test("uses the search order when reranking fails", async () => {
+    const reranker = {
+      rerank: jest.fn(async () => Promise.reject(new Error("x"))),
+    };
+    const { retriever } = createRetriever({ reranker, minRelevance: 0.5 });
+
+    const results = await retriever.retrieve("rates", { limit: 2 });
+    expect(results.map((result) => result.id)).toEqual(["b", "a"]);
+  });
+});
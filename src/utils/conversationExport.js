@@ -0,0 +1,324 @@
+// backend/src/utils/conversationExport.js
+
+const EXPORT_FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+};
+
+const ROLE_LABELS = { user: "User", assistant: "Assistant" };
+
+// A citation marker as written by extractCitations: "[1]" or "[1, 3]"
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Render a conversation for download
+ * @param {Object} conversation - { sessionId, title, createdAt, messages }
+ * @param {string} format - "md", "json" or "html"
+ * @param {Object} options - { now } export time (optional)
+ * @returns {Object} - { contentType, filename, body }
+ */
+function exportConversation(conversation, format, options = {}) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const prepared = prepareConversation(conversation, options.now || new Date());
+  const renderers = {
+    md: renderMarkdown,
+    json: renderJson,
+    html: renderHtml,
+  };
+
+  const name = slugify(conversation.title) || "chat";
+
+  return {
+    contentType,
+    filename: `${name}-${conversation.sessionId.slice(0, 8)}.${extension}`,
+    body: renderers[format](prepared),
+  };
+}
+
+/**
+ * Number every cited article once across the conversation and rewrite each
+ * message's own [n] markers to those numbers
+ * @param {Object} conversation - { sessionId, title, createdAt, messages }
+ * @param {Date} now - Export time
+ * @returns {Object} - Conversation with { exportedAt, messages: [{ role, content, timestamp, references }], bibliography }
+ */
+function prepareConversation(conversation, now) {
+  const bibliography = [];
+  const numbers = new Map(); // article key -> bibliography number
+
+  const messages = conversation.messages
+    .filter((message) => ROLE_LABELS[message.role])
+    .map((message) => {
+      const markerMap = new Map(); // message marker -> bibliography number
+
+      for (const citation of message.citations || []) {
+        const key = citation.articleId || citation.url || citation.title;
+        if (!key) {
+          continue;
+        }
+
+        if (!numbers.has(key)) {
+          numbers.set(key, bibliography.length + 1);
+          bibliography.push({
+            number: bibliography.length + 1,
+            title: citation.title || "Untitled article",
+            source: citation.source || null,
+            author: citation.author || null,
+            // Feed-supplied, so only web links are kept (no javascript: URLs)
+            url: isHttpUrl(citation.url) ? citation.url : null,
+            date: citation.date || null,
+          });
+        }
+
+        markerMap.set(citation.marker, numbers.get(key));
+      }
+
+      return {
+        role: message.role,
+        content:
+          message.role === "assistant"
+            ? renumberMarkers(message.content, markerMap)
+            : message.content || "",
+        timestamp: message.timestamp || null,
+        references: [...new Set(markerMap.values())].sort((a, b) => a - b),
+      };
+    });
+
+  return {
+    sessionId: conversation.sessionId,
+    title: conversation.title || "Chat session",
+    createdAt: conversation.createdAt || null,
+    exportedAt: now.toISOString(),
+    messages,
+    bibliography,
+  };
+}
+
+/**
+ * Rewrite [n] markers through a marker map, dropping ones that cite nothing
+ * so they can't point at another message's article
+ * @param {string} content - Message text
+ * @param {Map} markerMap - Message marker -> bibliography number
+ * @returns {string} - Text with renumbered markers
+ */
+function renumberMarkers(content, markerMap) {
+  return (content || "").replace(
+    /([ \t]*)\[(\d+(?:\s*,\s*\d+)*)\]/g,
+    (match, space, list) => {
+      const mapped = list
+        .split(",")
+        .map((value) => markerMap.get(parseInt(value)))
+        .filter(Boolean);
+
+      return mapped.length > 0
+        ? `${space}[${[...new Set(mapped)].join(", ")}]`
+        : "";
+    }
+  );
+}
+
+function renderJson(conversation) {
+  return JSON.stringify(conversation, null, 2);
+}
+
+function renderMarkdown(conversation) {
+  const lines = [
+    `# ${conversation.title}`,
+    "",
+    `_Exported ${formatTimestamp(conversation.exportedAt)}_`,
+    "",
+  ];
+
+  for (const message of conversation.messages) {
+    lines.push(
+      `## ${ROLE_LABELS[message.role]}${
+        message.timestamp ? ` · ${formatTimestamp(message.timestamp)}` : ""
+      }`,
+      "",
+      message.content,
+      ""
+    );
+  }
+
+  if (conversation.bibliography.length > 0) {
+    lines.push("## References", "");
+
+    for (const entry of conversation.bibliography) {
+      const text = escapeMarkdownText(entry.title);
+      const title = entry.url
+        ? `[${text}](${escapeMarkdownUrl(entry.url)})`
+        : text;
+      const details = [entry.source, formatDate(entry.date)]
+        .filter(Boolean)
+        .join(", ");
+
+      lines.push(`${entry.number}. ${title}${details ? ` — ${details}` : ""}`);
+    }
+
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+function renderHtml(conversation) {
+  const title = escapeHtml(conversation.title);
+  const references =
+    conversation.bibliography.length === 0
+      ? ""
+      : [
+          '<section class="references">',
+          "<h2>References</h2>",
+          "<ol>",
+          ...conversation.bibliography.map(renderHtmlReference),
+          "</ol>",
+          "</section>",
+        ].join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: Georgia, serif; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #222; }
+h2 { font-size: 1rem; margin-bottom: 0.25rem; }
+time, .exported { color: #666; font-weight: normal; font-size: 0.9rem; }
+.message { border-top: 1px solid #ddd; padding-top: 0.5rem; }
+.message.user h2 { color: #1a4d8f; }
+.references { border-top: 2px solid #222; margin-top: 2rem; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="exported">Exported ${formatTimestamp(conversation.exportedAt)}</p>
+${conversation.messages.map(renderHtmlMessage).join("\n")}
+${references}
+</body>
+</html>
+`;
+}
+
+function renderHtmlMessage(message) {
+  const time = message.timestamp
+    ? ` <time datetime="${escapeHtml(message.timestamp)}">${formatTimestamp(
+        message.timestamp
+      )}</time>`
+    : "";
+
+  return [
+    `<section class="message ${message.role}">`,
+    `<h2>${ROLE_LABELS[message.role]}${time}</h2>`,
+    toHtmlParagraphs(message.content, message.role === "assistant"),
+    "</section>",
+  ].join("\n");
+}
+
+function renderHtmlReference(entry) {
+  const title = entry.url
+    ? `<a href="${escapeHtml(entry.url)}">${escapeHtml(entry.title)}</a>`
+    : escapeHtml(entry.title);
+  const details = [entry.source, formatDate(entry.date)]
+    .filter(Boolean)
+    .join(", ");
+
+  return `<li id="ref-${entry.number}">${title}${
+    details ? ` — ${escapeHtml(details)}` : ""
+  }</li>`;
+}
+
+/**
+ * Convert plain text to escaped HTML paragraphs
+ * @param {string} text - Message text
+ * @param {boolean} linkMarkers - Link [n] markers to the bibliography
+ * @returns {string} - HTML
+ */
+function toHtmlParagraphs(text, linkMarkers) {
+  return text
+    .split(/\n\s*\n/)
+    .filter((paragraph) => paragraph.trim())
+    .map((paragraph) => {
+      const html = escapeHtml(paragraph.trim()).replace(/\n/g, "<br>");
+
+      if (!linkMarkers) {
+        return `<p>${html}</p>`;
+      }
+
+      const linked = html.replace(
+        MARKER_PATTERN,
+        (match, list) =>
+          `[${list
+            .split(",")
+            .map((value) => value.trim())
+            .map((number) => `<a href="#ref-${number}">${number}</a>`)
+            .join(", ")}]`
+      );
+
+      return `<p>${linked}</p>`;
+    })
+    .join("\n");
+}
+
+function formatTimestamp(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? String(value)
+    : `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+function formatDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? String(value)
+    : date.toISOString().slice(0, 10);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function escapeMarkdownText(text) {
+  return String(text).replace(/[\\[\]]/g, "\\$&");
+}
+
+function escapeMarkdownUrl(url) {
+  // Percent-encode what would end the link target early
+  return url.replace(/\(/g, "%28").replace(/\)/g, "%29").replace(/\s/g, "%20");
+}
+
+/**
+ * Check that a value is an absolute http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is safe to link to
+ */
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+}
+
+function slugify(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportConversation,
+};
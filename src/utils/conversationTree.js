@@ -0,0 +1,109 @@
+// backend/src/utils/conversationTree.js
+
+/**
+ * Helpers for conversations stored as a tree of messages
+ *
+ * Every message points at the one it follows (`parentId`, null for the first
+ * message). Regenerating an answer or editing a question adds a sibling, so a
+ * session holds several branches; a branch is addressed by its last message.
+ */
+
+/**
+ * Give messages stored before message IDs existed an ID and a parent, treating
+ * them as one linear conversation
+ * @param {Array} messages - Stored messages, oldest first
+ * @returns {Array} - Messages that all have `id` and `parentId`
+ */
+function normalizeMessages(messages) {
+  let previousId = null;
+
+  return messages.map((message) => {
+    const normalized = {
+      ...message,
+      id: message.id || `legacy-${message.role}-${message.timestamp}`,
+      parentId: message.parentId !== undefined ? message.parentId : previousId,
+    };
+
+    previousId = normalized.id;
+    return normalized;
+  });
+}
+
+/**
+ * Get the messages on the path from the first message to the given one
+ * @param {Array} messages - Normalized messages
+ * @param {string} messageId - Last message of the branch
+ * @returns {Array|null} - Branch, oldest first, or null if the message doesn't exist
+ */
+function getBranch(messages, messageId) {
+  const byId = new Map(messages.map((message) => [message.id, message]));
+
+  if (!byId.has(messageId)) {
+    return null;
+  }
+
+  const branch = [];
+  const seen = new Set();
+  let current = byId.get(messageId);
+
+  // Stops at the first message, or where older messages were trimmed away
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    branch.push(current);
+    current = byId.get(current.parentId);
+  }
+
+  return branch.reverse();
+}
+
+/**
+ * Check whether a branch reaches back to the first message of the
+ * conversation, i.e. none of its older messages were trimmed away
+ * @param {Array} messages - Normalized messages
+ * @param {string} messageId - Last message of the branch
+ * @returns {boolean} - False if the message or one of its ancestors is missing
+ */
+function isCompleteBranch(messages, messageId) {
+  const branch = getBranch(messages, messageId);
+  return branch !== null && branch[0].parentId === null;
+}
+
+/**
+ * Get the last message of the active branch
+ * @param {Array} messages - Normalized messages
+ * @param {string} headId - Recorded head, if any
+ * @returns {string|null} - Head message ID, or null for an empty conversation
+ */
+function getHeadId(messages, headId) {
+  if (headId && messages.some((message) => message.id === headId)) {
+    return headId;
+  }
+
+  return messages.length > 0 ? messages[messages.length - 1].id : null;
+}
+
+/**
+ * List every branch of a conversation
+ * @param {Array} messages - Normalized messages
+ * @returns {Array} - [{ leafId, messageCount, lastMessageAt }], most recent first
+ */
+function listBranches(messages) {
+  const parents = new Set(messages.map((message) => message.parentId));
+
+  return messages
+    .filter((message) => !parents.has(message.id))
+    .map((leaf) => ({
+      leafId: leaf.id,
+      messageCount: getBranch(messages, leaf.id).length,
+      lastMessageAt: leaf.timestamp || null,
+    }))
+    .reverse();
+}
+
+module.exports = {
+  normalizeMessages,
+  getBranch,
+  isCompleteBranch,
+  getHeadId,
+  listBranches,
+};
@@ -0,0 +1,17 @@
+// backend/src/utils/pagination.js
+
+/**
+ * Read page/limit query parameters with sane bounds
+ * @param {Object} query - Express query object
+ * @returns {Object} - { page, limit, offset }
+ */
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+module.exports = {
+  parsePagination,
+};
@@ -0,0 +1,94 @@
+// backend/src/utils/textProcessing.js
+
+// Common English words that carry no signal for keyword matching
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be been but by did do does for from had has have he her his how i if in " +
+    "into is it its me my of on or our she so than that the their them then there these they " +
+    "this to was we were what when where which who whom why will with would you your about " +
+    "after before said say says tell told any all can could should"
+  ).split(" ")
+);
+
+/**
+ * Split text into lowercase word tokens, matching Qdrant's "word" tokenizer
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Tokens in order (may repeat)
+ */
+function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length >= 2 && token.length <= 30);
+}
+
+/**
+ * Distinct query terms worth searching for
+ * @param {string} query - User query
+ * @returns {Array<string>} - Unique non-stop-word tokens
+ */
+function extractKeywords(query) {
+  return [...new Set(tokenize(query).filter((t) => !STOP_WORDS.has(t)))];
+}
+
+/**
+ * Score documents against query terms with Okapi BM25
+ * @param {Array<string>} terms - Query terms
+ * @param {Array<string>} texts - Document texts to score
+ * @param {Object} stats - Corpus statistics
+ * @param {number} stats.totalDocuments - Number of documents in the corpus
+ * @param {Object} stats.documentFrequencies - Map of term to number of documents containing it
+ * @param {number} stats.avgLength - Average document length in tokens (optional;
+ * defaults to the average over `texts`)
+ * @param {Object} options - { k1, b }
+ * @returns {Array<number>} - Score per text, in input order
+ */
+function bm25Scores(terms, texts, stats, options = {}) {
+  const { k1 = 1.2, b = 0.75 } = options;
+  const tokenized = texts.map(tokenize);
+  const avgLength =
+    stats.avgLength ||
+    tokenized.reduce((sum, tokens) => sum + tokens.length, 0) /
+      Math.max(tokenized.length, 1) ||
+    1;
+
+  const idf = {};
+  for (const term of terms) {
+    const df = stats.documentFrequencies[term] || 0;
+    idf[term] = Math.log(1 + (stats.totalDocuments - df + 0.5) / (df + 0.5));
+  }
+
+  return tokenized.map((tokens) => {
+    const counts = new Map();
+    for (const token of tokens) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+
+    return terms.reduce((score, term) => {
+      const tf = counts.get(term) || 0;
+      if (tf === 0) {
+        return score;
+      }
+
+      const norm = tf + k1 * (1 - b + (b * tokens.length) / avgLength);
+      return score + (idf[term] * tf * (k1 + 1)) / norm;
+    }, 0);
+  });
+}
+
+/**
+ * Approximate the number of LLM tokens in a text (~4 characters per token
+ * for English), good enough for budgeting prompts
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+module.exports = {
+  tokenize,
+  extractKeywords,
+  bm25Scores,
+  estimateTokens,
+};